@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// Command-line entry point for the daily stats pages.
+//
+//   node cli.js stats  [options]   player_stats.html + player-stats.json
+//   node cli.js graphs [options]   index.html (reads player-stats.json)
+//   node cli.js all    [options]   both, stats first
+//   node cli.js backfill --season <year>[-<year>] [options]
+//                                  rebuild past seasons into seasons/<year>/ only
+//   node cli.js history (--player <id> | --team <id|abbr>) [--season <year>] [--from <date>] [--to <date>]
+//                                  print a saved stats trajectory as JSON
+//
+// Run with --help for the option list.
+
+const { createApiClient } = require('./mlb-api');
+const { CACHE_MODES, DEFAULT_CACHE_DIR, createResponseCache } = require('./response-cache');
+const generateStats = require('./generate-stats');
+const generateGraphs = require('./generate-graphs');
+const { getPlayerTrajectory, getTeamTrajectory } = require('./history');
+
+const COMMANDS = ['stats', 'graphs', 'all', 'backfill', 'history'];
+
+const USAGE = `Usage: node cli.js <${COMMANDS.join('|')}> [options]
+
+Every run also writes its files into seasons/<year>/ and updates seasons/index.html.
+backfill rebuilds past seasons into the archive without touching the top-level files.
+history prints the daily snapshots saved for one player or team, oldest first, from --season,
+else the season of --from/--to, else the current season.
+
+Options:
+  --season <year>     Season to build (default: current season, or last season if it has no data yet);
+                      backfill also accepts a range, e.g. 2019-2023
+  --teams <list>      Comma-separated team abbreviations, e.g. NYY,BOS (default: all teams)
+  --out-dir <dir>     Directory to write output files to (default: .)
+  --cache <mode>      Response cache mode: ${CACHE_MODES.join(', ')} (default: off)
+  --cache-dir <dir>   Response cache directory (default: ${DEFAULT_CACHE_DIR})
+  --dry-run           Fetch and build everything but don't write any files
+  --player <id>       history: MLB player ID
+  --team <id|abbr>    history: team ID or abbreviation
+  --from <date>       history: first date, YYYY-MM-DD (default: start of the season)
+  --to <date>         history: last date, YYYY-MM-DD (default: latest snapshot)
+  --help              Show this message`;
+
+// Flags that take a value, mapped to their option names
+const VALUE_FLAGS = {
+    '--season': 'season',
+    '--teams': 'teams',
+    '--out-dir': 'outDir',
+    '--cache': 'cacheMode',
+    '--cache-dir': 'cacheDir',
+    '--player': 'player',
+    '--team': 'team',
+    '--from': 'from',
+    '--to': 'to'
+};
+
+// Flags that are simply on or off
+const BOOLEAN_FLAGS = {
+    '--dry-run': 'dryRun',
+    '--help': 'help'
+};
+
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        if (VALUE_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`${flag} needs a value`);
+            }
+            options[VALUE_FLAGS[flag]] = value;
+        } else if (BOOLEAN_FLAGS[flag]) {
+            options[BOOLEAN_FLAGS[flag]] = true;
+        } else if (flag.startsWith('-')) {
+            throw new Error(`Unknown option ${flag}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    options.command = positional[0];
+    if (positional.length > 1) {
+        throw new Error(`Unexpected argument ${positional[1]}`);
+    }
+    const seasonPattern = options.command === 'backfill' ? /^\d{4}(-\d{4})?$/ : /^\d{4}$/;
+    if (options.season !== undefined && !seasonPattern.test(options.season)) {
+        throw new Error(`--season must be a four-digit year, got "${options.season}"`);
+    }
+
+    for (const flag of ['from', 'to']) {
+        if (options[flag] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(options[flag])) {
+            throw new Error(`--${flag} must be a date like 2025-06-01, got "${options[flag]}"`);
+        }
+    }
+
+    return options;
+}
+
+// "2023" -> [2023]; "2019-2021" -> [2019, 2020, 2021]
+function expandSeasons(value) {
+    const [from, to = from] = value.split('-').map(year => parseInt(year));
+    const seasons = [];
+    for (let year = Math.min(from, to); year <= Math.max(from, to); year++) {
+        seasons.push(year);
+    }
+    return seasons;
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return;
+    }
+    if (!COMMANDS.includes(options.command)) {
+        throw new Error(`Unknown command "${options.command}"\n\n${USAGE}`);
+    }
+
+    if (options.command === 'history') {
+        const query = { season: options.season, outDir: options.outDir };
+        let result;
+        if (options.player) {
+            result = getPlayerTrajectory(options.player, options.from, options.to, query);
+        } else if (options.team) {
+            result = getTeamTrajectory(options.team, options.from, options.to, query);
+        } else {
+            throw new Error('history needs --player <id> or --team <id|abbr>');
+        }
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+
+    // One cache and one API client are shared by both generators
+    const cache = createResponseCache(options.cacheMode || 'off', options.cacheDir || DEFAULT_CACHE_DIR);
+    const api = createApiClient({ cache });
+    const generatorOptions = {
+        season: options.season,
+        teams: options.teams,
+        outDir: options.outDir,
+        dryRun: options.dryRun,
+        cache,
+        api
+    };
+
+    if (options.command === 'backfill') {
+        if (!options.season) {
+            throw new Error('backfill needs --season <year> or --season <from>-<to>');
+        }
+        for (const season of expandSeasons(options.season)) {
+            console.log(`Backfilling ${season} season...`);
+            const seasonOptions = { ...generatorOptions, season, archiveOnly: true };
+            const playerStats = await generateStats.generateHTML(seasonOptions);
+            await generateGraphs.generateHTML({ ...seasonOptions, playerStats });
+        }
+        return;
+    }
+
+    if (options.command === 'stats' || options.command === 'all') {
+        const playerStats = await generateStats.generateHTML(generatorOptions);
+
+        // Hand the fresh leaderboard data straight to the graphs page (a dry run writes no JSON
+        // to read back), and keep both pages on the same season
+        generatorOptions.playerStats = playerStats;
+        generatorOptions.season = playerStats.season;
+    }
+
+    if (options.command === 'graphs' || options.command === 'all') {
+        await generateGraphs.generateHTML(generatorOptions);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { parseArgs, expandSeasons, main };
@@ -0,0 +1,274 @@
+// Column registry for the player stat tables and player-stats.json.
+//
+// Each column is one entry, in table order:
+//   key      - data-sort / column chooser key, and the JSON field name
+//   header   - table header text; tooltip is its title
+//   value    - (stats, context) -> number, where context is
+//              { constants, parkFactor, position, person }
+//   format   - value -> cell text (default: the value as is)
+//   digits   - decimal places kept in the JSON (default: unrounded)
+//   sort     - first-click direction, 'asc' or 'desc'; no sort means not sortable
+//   text     - left-aligned text cell rather than a number
+//   optional - left out of the default column view
+//   table    - false for JSON-only fields
+//   json     - false for table-only columns, or a different JSON field name
+//   worse    - more is worse, for counting stats that still sort most-first (hits allowed);
+//              their league percentiles run the other way, as for sort 'asc'
+//   relative - a rate, so comparable with the league average row (counting stats aren't);
+//              the page's "vs League Average" colors shade these cells
+//
+// Adding a stat is one entry here: the team tables, their sort attributes, the
+// column chooser and player-stats.json all follow.
+
+const {
+    calculateTB,
+    calculatePA,
+    calculateAVG,
+    calculateOBP,
+    calculateSLG,
+    calculateISO,
+    calculateRC,
+    calculateSBPct,
+    calculateXBHPct,
+    calculateGBFB,
+    calculateWOBA,
+    calculateWRAA,
+    calculateWRCPlus,
+    calculateOPSPlus,
+    calculateBattingWAR,
+    calculatePitchingWAR,
+    calculateERA,
+    calculateWHIP,
+    calculateFIP,
+    calculateFIPAR,
+    calculateKPct,
+    calculateBBPct,
+    calculateHR9,
+    calculateBABIP,
+    calculateLOBPct,
+    calculateXFIP,
+    calculateSIERALite,
+    formatRate,
+    formatPercent
+} = require('./stats-math');
+
+const round = value => String(Math.round(value));
+
+// A counting stat read straight from the stat line
+function counting(key, header, field, tooltip, sort = 'desc') {
+    return { key, header, tooltip, sort, value: stats => stats[field] || 0 };
+}
+
+// A three-place rate shown without the leading zero (.300)
+function rate(key, header, tooltip, value, sort = 'desc') {
+    return { key, header, tooltip, sort, value, format: formatRate, digits: 3, relative: true };
+}
+
+// A rate shown as a percentage (25.3%)
+function percent(key, header, tooltip, value, sort = 'desc') {
+    return { key, header, tooltip, sort, value, format: formatPercent, digits: 3, relative: true };
+}
+
+// A number shown to a fixed number of places
+function fixed(key, header, tooltip, value, places, sort = 'desc') {
+    return { key, header, tooltip, sort, value, format: v => v.toFixed(places), digits: places };
+}
+
+// A number shown rounded to a whole number
+function whole(key, header, tooltip, value, sort = 'desc') {
+    return { key, header, tooltip, sort, value, format: round, digits: 0 };
+}
+
+const age = { key: 'age', header: 'Age', tooltip: 'Current age', sort: 'desc', json: false, value: (stats, context) => context.person.currentAge || '' };
+
+const BATTER_COLUMNS = [
+    age,
+    { key: 'position', header: 'Pos', tooltip: 'Primary position', text: true, json: false, value: (stats, context) => context.position || '' },
+    whole('rc', 'RC', 'Runs Created: OBP x TB', calculateRC),
+    counting('r', 'R', 'runs', 'Runs'),
+    counting('rbi', 'RBI', 'rbi', 'Runs batted in'),
+    rate('avg', 'BA', 'Batting average', calculateAVG),
+    rate('obp', 'OBP', 'On-base percentage', calculateOBP),
+    rate('slg', 'SLG', 'Slugging percentage', calculateSLG),
+    rate('woba', 'wOBA', 'Weighted on-base average, from this season\'s linear weights',
+        (stats, context) => calculateWOBA(stats, context.constants.wobaWeights)),
+    {
+        ...whole('wrcPlus', 'wRC+', 'Weighted Runs Created Plus, park adjusted (100 = league average)',
+            (stats, context) => calculateWRCPlus(stats, context.constants.wobaWeights, context.parkFactor)),
+        relative: true
+    },
+    {
+        ...whole('opsPlus', 'OPS+', 'OPS against league average, park adjusted (100 = average)',
+            (stats, context) => calculateOPSPlus(stats, context.constants.wobaWeights, context.parkFactor)),
+        relative: true
+    },
+    fixed('wraa', 'wRAA', 'Weighted Runs Above Average',
+        (stats, context) => calculateWRAA(stats, context.constants.wobaWeights), 1),
+    counting('g', 'G', 'gamesPlayed', 'Games'),
+    { key: 'pa', header: 'PA', tooltip: 'Plate appearances', sort: 'desc', value: calculatePA },
+    counting('h', 'H', 'hits', 'Hits'),
+    counting('doubles', '2B', 'doubles', 'Doubles'),
+    counting('triples', '3B', 'triples', 'Triples'),
+    counting('hr', 'HR', 'homeRuns', 'Home runs'),
+    { key: 'tb', header: 'TB', tooltip: 'Total bases', sort: 'desc', value: calculateTB },
+    counting('bb', 'BB', 'baseOnBalls', 'Walks'),
+    { ...counting('so', 'SO', 'strikeOuts', 'Strikeouts'), worse: true },
+    counting('sb', 'SB', 'stolenBases', 'Stolen bases'),
+    { ...counting('cs', 'CS', 'caughtStealing', 'Caught stealing'), worse: true },
+    { ...percent('bbPct', 'BB%', 'Walks per plate appearance', calculateBBPct), optional: true },
+    { ...percent('kPct', 'K%', 'Strikeouts per plate appearance', calculateKPct, 'asc'), optional: true },
+    { ...rate('iso', 'ISO', 'Isolated power: SLG - BA', calculateISO), optional: true },
+    { ...rate('babip', 'BABIP', 'Batting average on balls in play', calculateBABIP), optional: true },
+    { ...percent('sbPct', 'SB%', 'Stolen base success rate', calculateSBPct), optional: true },
+    { ...percent('xbhPct', 'XBH%', 'Extra-base hits per plate appearance', calculateXBHPct), optional: true },
+    { ...fixed('gbFb', 'GB/FB', 'Ground outs per air out', calculateGBFB, 2), optional: true },
+    { ...counting('ab', 'AB', 'atBats', 'At bats'), table: false },
+    { ...rate('ops', 'OPS', 'On-base plus slugging', stats => calculateOBP(stats) + calculateSLG(stats)), table: false },
+    {
+        ...fixed('war', 'WAR', 'Batting wins above replacement', (stats, context) => calculateBattingWAR(stats,
+            context.constants.wobaWeights, context.position, context.constants.runsPerWin, context.parkFactor), 1),
+        table: false
+    }
+];
+
+const PITCHER_COLUMNS = [
+    age,
+    whole('fipar', 'FIPAR', 'FIP Above Replacement: runs saved over a replacement pitcher',
+        (stats, context) => calculateFIPAR(stats, context.constants.replacementFIP, context.constants.fipConstant)),
+    // IP stays in baseball notation (45.2) for display and the Min IP filter
+    fixed('ip', 'IP', 'Innings pitched', stats => parseFloat(stats.inningsPitched) || 0, 1),
+    { ...fixed('era', 'ERA', 'Earned run average', calculateERA, 2, 'asc'), relative: true },
+    {
+        ...fixed('fip', 'FIP', 'Fielding Independent Pitching',
+            (stats, context) => calculateFIP(stats, context.constants.fipConstant), 2, 'asc'),
+        relative: true
+    },
+    { ...fixed('whip', 'WHIP', 'Walks plus hits per inning pitched', calculateWHIP, 2, 'asc'), relative: true },
+    counting('g', 'G', 'gamesPlayed', 'Games'),
+    counting('gs', 'GS', 'gamesStarted', 'Games started'),
+    counting('w', 'W', 'wins', 'Wins'),
+    { ...counting('l', 'L', 'losses', 'Losses'), worse: true },
+    counting('sv', 'SV', 'saves', 'Saves'),
+    { ...counting('h', 'H', 'hits', 'Hits allowed'), worse: true },
+    { ...counting('r', 'R', 'runs', 'Runs allowed'), worse: true },
+    { ...counting('er', 'ER', 'earnedRuns', 'Earned runs allowed'), worse: true },
+    { ...counting('hr', 'HR', 'homeRuns', 'Home runs allowed'), worse: true },
+    { ...counting('bb', 'BB', 'baseOnBalls', 'Walks'), worse: true },
+    counting('so', 'SO', 'strikeOuts', 'Strikeouts'),
+    { ...counting('bf', 'BF', 'battersFaced', 'Batters faced'), optional: true },
+    { ...percent('kPct', 'K%', 'Strikeouts per batter faced', calculateKPct), optional: true },
+    { ...percent('bbPct', 'BB%', 'Walks per batter faced', calculateBBPct, 'asc'), optional: true },
+    { ...percent('kbbPct', 'K-BB%', 'Strikeout rate minus walk rate', stats => calculateKPct(stats) - calculateBBPct(stats)), optional: true },
+    { ...fixed('hr9', 'HR/9', 'Home runs allowed per nine innings', calculateHR9, 2, 'asc'), optional: true, relative: true },
+    { ...rate('babip', 'BABIP', 'Opponents\' batting average on balls in play', calculateBABIP, 'asc'), optional: true },
+    { ...percent('lobPct', 'LOB%', 'Share of baserunners left on base', calculateLOBPct), optional: true },
+    {
+        ...fixed('xfip', 'xFIP', 'FIP with home runs at the league rate per fly ball',
+            (stats, context) => calculateXFIP(stats, context.constants.leagueHRPerFB, context.constants.fipConstant), 2, 'asc'),
+        optional: true,
+        relative: true
+    },
+    { ...fixed('siera', 'SIERA', 'Simplified Skill-Interactive ERA', calculateSIERALite, 2, 'asc'), optional: true, relative: true },
+    {
+        ...fixed('war', 'WAR', 'Pitching wins above replacement: FIPAR / runs per win', (stats, context) => calculatePitchingWAR(stats,
+            context.constants.runsPerWin, context.constants.replacementFIP, context.constants.fipConstant), 1),
+        table: false
+    }
+];
+
+const COLUMNS = {
+    batter: BATTER_COLUMNS,
+    pitcher: PITCHER_COLUMNS
+};
+
+// Column each team table starts out sorted by
+const DEFAULT_SORT = {
+    batter: 'rc',
+    pitcher: 'fipar'
+};
+
+// Columns shown in the team tables for a table type
+function tableColumns(type) {
+    return COLUMNS[type].filter(column => column.table !== false);
+}
+
+function defaultColumnKeys(type) {
+    return tableColumns(type).filter(column => !column.optional).map(column => column.key);
+}
+
+// Named column views for the column chooser: preset name -> label and the keys shown in the
+// batter and pitcher tables. "default" is every column that isn't optional.
+const COLUMN_PRESETS = {
+    default: {
+        label: 'Default',
+        batter: defaultColumnKeys('batter'),
+        pitcher: defaultColumnKeys('pitcher')
+    },
+    traditional: {
+        label: 'Traditional',
+        batter: ['age', 'position', 'r', 'rbi', 'avg', 'obp', 'slg', 'g', 'pa', 'h', 'doubles', 'triples', 'hr', 'tb', 'bb', 'so', 'sb', 'cs'],
+        pitcher: ['age', 'ip', 'era', 'whip', 'g', 'gs', 'w', 'l', 'sv', 'h', 'r', 'er', 'hr', 'bb', 'so']
+    },
+    sabermetric: {
+        label: 'Sabermetric',
+        batter: ['age', 'position', 'rc', 'obp', 'slg', 'woba', 'wrcPlus', 'opsPlus', 'wraa', 'pa', 'bbPct', 'kPct', 'iso', 'babip'],
+        pitcher: ['age', 'fipar', 'ip', 'era', 'fip', 'bf', 'kPct', 'bbPct', 'kbbPct', 'hr9', 'babip', 'lobPct', 'xfip', 'siera']
+    },
+    compact: {
+        label: 'Compact',
+        batter: ['position', 'rc', 'avg', 'obp', 'slg', 'hr', 'pa'],
+        pitcher: ['fipar', 'ip', 'era', 'fip', 'whip', 'so']
+    }
+};
+
+function roundValue(value, digits) {
+    if (digits === undefined || typeof value !== 'number') return value;
+    const scale = Math.pow(10, digits);
+    return Math.round(value * scale) / scale;
+}
+
+// Cell text for one column of a stat line
+function formatColumn(column, stats, context) {
+    const value = column.value(stats, context);
+    return column.format ? column.format(value) : String(value);
+}
+
+// Raw value of one column for sorting: numbers to four places, text as is
+function columnSortValue(column, stats, context) {
+    return roundValue(column.value(stats, context), 4);
+}
+
+// A column's field name in player-stats.json
+function jsonField(column) {
+    return column.json || column.key;
+}
+
+// Cell text for a value read back from player-stats.json
+function formatJsonValue(column, value) {
+    if (value === null || value === undefined) return '-';
+    return column.format ? column.format(value) : String(value);
+}
+
+// player-stats.json fields for a stat line: every column not marked json: false
+function columnsJson(type, stats, context) {
+    const json = {};
+    for (const column of COLUMNS[type]) {
+        if (column.json === false) continue;
+        json[jsonField(column)] = roundValue(column.value(stats, context), column.digits);
+    }
+    return json;
+}
+
+module.exports = {
+    BATTER_COLUMNS,
+    PITCHER_COLUMNS,
+    COLUMNS,
+    DEFAULT_SORT,
+    COLUMN_PRESETS,
+    tableColumns,
+    formatColumn,
+    columnSortValue,
+    columnsJson,
+    jsonField,
+    formatJsonValue
+};
@@ -0,0 +1,262 @@
+// JSON Schemas for the published data files, and the validator the generators run on them.
+//
+// player-stats.json (generate-stats.js) and team-stats.json (generate-graphs.js) each carry
+// a schemaVersion and are checked against their schema before they're written; a file that
+// doesn't match stops the run rather than going out. The schemas are written next to the
+// files (player-stats.schema.json, team-stats.schema.json) for other tools to read.
+//
+// The player stat fields come from the column registry, so adding a column adds it to the
+// schema too. Bump SCHEMA_VERSION whenever a field is renamed or removed, or changes type.
+//
+// Versions:
+//   1 - first versioned files; pitchers' strikeouts renamed from "k" to "so" to match batters
+
+const { COLUMNS, jsonField } = require('./columns');
+
+const SCHEMA_VERSION = 1;
+
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+// The stat fields of a player line, one per registry column in the JSON
+function statProperties(type) {
+    const properties = {};
+    for (const column of COLUMNS[type]) {
+        if (column.json === false) continue;
+        properties[jsonField(column)] = { type: 'number', description: `${column.header}: ${column.tooltip}` };
+    }
+    return properties;
+}
+
+// A player's stat line with its league percentiles (0-100, higher is better)
+function statLineSchema(type) {
+    return {
+        type: 'object',
+        required: Object.keys(statProperties(type)),
+        properties: {
+            ...statProperties(type),
+            percentiles: {
+                type: 'object',
+                description: 'Percentile of each stat among the league\'s qualified players; lower-is-better stats are flipped',
+                additionalProperties: { type: 'integer', minimum: 0, maximum: 100 }
+            }
+        }
+    };
+}
+
+function playerSchema(type) {
+    const line = statLineSchema(type);
+    const identity = {
+        name: { type: 'string' },
+        playerId: { type: 'integer', description: 'MLB Stats API person id' },
+        team: { type: 'string' },
+        teamAbbr: { type: 'string' },
+        league: { enum: ['AL', 'NL'] },
+        age: nullable({ type: 'integer' })
+    };
+    const hand = type === 'batter'
+        ? { batSide: nullable({ type: 'string', description: 'L, R or S' }) }
+        : { pitchHand: nullable({ type: 'string', description: 'L or R' }) };
+    return {
+        type: 'object',
+        description: `One ${type} on one team; a traded player appears once per team with the same season line`,
+        required: [...Object.keys(identity), ...line.required],
+        properties: {
+            ...identity,
+            ...(type === 'batter' ? { position: nullable({ type: 'string', description: 'Primary position abbreviation' }) } : {}),
+            ...line.properties,
+            ...hand,
+            windows: {
+                type: 'object',
+                description: 'Rolling-window lines by windowRanges key; null when he didn\'t play in that stretch',
+                additionalProperties: { anyOf: [line, { type: 'null' }] }
+            }
+        }
+    };
+}
+
+function playerStatsSchema() {
+    const number = { type: 'number' };
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: 'player-stats.schema.json',
+        title: 'player-stats.json',
+        description: 'Every rostered batter and pitcher\'s season line, as shown on player_stats.html and the leaderboards',
+        type: 'object',
+        required: ['schemaVersion', 'season', 'updated', 'constants', 'batters', 'pitchers'],
+        properties: {
+            schemaVersion: { const: SCHEMA_VERSION },
+            season: { type: 'integer' },
+            updated: { type: 'string', description: 'Run time, ISO 8601' },
+            constants: {
+                type: 'object',
+                description: 'League constants the stats were worked out with',
+                required: ['fipConstant', 'replacementFIP', 'leagueERA', 'runsPerWin'],
+                properties: {
+                    fipConstant: number,
+                    replacementFIP: number,
+                    leagueERA: number,
+                    replacementPoolIP: number,
+                    leagueHRPerFB: number,
+                    runsPerWin: number,
+                    wobaWeights: { type: ['object', 'null'], additionalProperties: number }
+                }
+            },
+            windowRanges: {
+                type: 'object',
+                description: 'Rolling windows for the current season, ending on the last game once it\'s over: key -> dates covered (YYYY-MM-DD)',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['start', 'end'],
+                    properties: { start: { type: 'string' }, end: { type: 'string' } }
+                }
+            },
+            qualified: {
+                type: 'object',
+                description: 'How many batters and pitchers the season percentiles were taken against',
+                properties: { batters: { type: 'integer' }, pitchers: { type: 'integer' } }
+            },
+            batters: { type: 'array', items: playerSchema('batter') },
+            pitchers: { type: 'array', items: playerSchema('pitcher') }
+        }
+    };
+}
+
+function teamStatsSchema() {
+    const integer = { type: 'integer' };
+    const number = { type: 'number' };
+    const team = {
+        type: 'object',
+        required: ['name', 'abbreviation', 'league', 'division', 'w', 'l', 'pct', 'rs', 'ra', 'gamesPlayed',
+            'pythVar', 'rsPerGame', 'raPerGame', 'obp', 'iso', 'fip', 'der'],
+        properties: {
+            name: { type: 'string' },
+            abbreviation: { type: 'string' },
+            league: { enum: ['American League', 'National League'] },
+            division: { type: 'string' },
+            divisionAbbrev: { type: 'string' },
+            w: integer,
+            l: integer,
+            pct: { type: 'string', description: 'Winning percentage without the leading zero (.550)' },
+            gb: { type: ['string', 'number'], description: 'Games back in the division, as the Stats API gives it ("-" for the leader)' },
+            wcGb: { type: ['string', 'number'], description: 'Games back of a wild card spot, as the Stats API gives it' },
+            wcRank: { type: ['string', 'number'] },
+            clinchIndicator: { type: 'string' },
+            rs: { ...integer, description: 'Runs scored' },
+            ra: { ...integer, description: 'Runs allowed' },
+            gamesPlayed: integer,
+            pythVar: { ...number, description: 'Wins minus Pythagorean wins' },
+            rsPerGame: number,
+            raPerGame: number,
+            obp: number,
+            iso: number,
+            fip: number,
+            der: { ...number, description: 'Defensive efficiency: share of balls in play turned into outs' }
+        }
+    };
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: 'team-stats.schema.json',
+        title: 'team-stats.json',
+        description: 'Every team\'s standings and season stats, as plotted on index.html',
+        type: 'object',
+        required: ['schemaVersion', 'season', 'updated', 'teams'],
+        properties: {
+            schemaVersion: { const: SCHEMA_VERSION },
+            season: { type: 'integer' },
+            updated: { type: 'string', description: 'Run time, ISO 8601' },
+            teams: { type: 'object', description: 'Teams by MLB Stats API team id', additionalProperties: team }
+        }
+    };
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'integer' || (actual === 'number' && Number.isFinite(value));
+    return actual === type;
+}
+
+// Check a value against a schema, covering the keywords the schemas above use. Returns a list
+// of problems, each with its path ("$.pitchers[3].era must be number"); empty when it's valid.
+function validate(schema, value, path = '$') {
+    if (schema.anyOf) {
+        return schema.anyOf.some(option => validate(option, value, path).length === 0)
+            ? []
+            : [`${path} matches none of the allowed shapes`];
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        return [`${path} must be ${JSON.stringify(schema.const)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+    }
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${path} must be ${types.join(' or ')}`];
+        }
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) return [`${path} must be at least ${schema.minimum}`];
+        if (schema.maximum !== undefined && value > schema.maximum) return [`${path} must be at most ${schema.maximum}`];
+    }
+
+    const errors = [];
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    } else if (typeOf(value) === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) errors.push(`${path}.${field} is missing`);
+        }
+        for (const [field, fieldValue] of Object.entries(value)) {
+            if (fieldValue === undefined) continue;
+            const fieldSchema = (schema.properties || {})[field] || schema.additionalProperties;
+            if (fieldSchema && typeof fieldSchema === 'object') {
+                errors.push(...validate(fieldSchema, fieldValue, `${path}.${field}`));
+            }
+        }
+    }
+    return errors;
+}
+
+// Throw if a data file doesn't match its schema, listing the first few problems
+function assertValid(schema, value, filename) {
+    const errors = validate(schema, value);
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 10).join('\n  ');
+        const more = errors.length > 10 ? `\n  ...and ${errors.length - 10} more` : '';
+        throw new Error(`${filename} doesn't match its schema (version ${SCHEMA_VERSION}):\n  ${shown}${more}`);
+    }
+}
+
+// Bring an older player-stats.json up to the current schema, for seasons archived before it
+// was versioned: pitchers' strikeouts were "k"
+function upgradePlayerStats(playerStats) {
+    if (playerStats.schemaVersion) return playerStats;
+    const renameK = line => {
+        if (line && line.k !== undefined && line.so === undefined) {
+            line.so = line.k;
+            delete line.k;
+        }
+    };
+    for (const pitcher of playerStats.pitchers || []) {
+        renameK(pitcher);
+        Object.values(pitcher.windows || {}).forEach(renameK);
+    }
+    return playerStats;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    playerStatsSchema,
+    teamStatsSchema,
+    validate,
+    assertValid,
+    upgradePlayerStats
+};
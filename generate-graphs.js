@@ -1,122 +1,128 @@
-const fetch = require('node-fetch');
-const fs = require('fs');
-
-const API_BASE = 'https://statsapi.mlb.com/api/v1';
+const {
+    calculatePythVar,
+    calculateOBP,
+    calculateISO,
+    calculateFIP,
+    calculateDER,
+    FIP_CONSTANT,
+    REPLACEMENT_FIP,
+    REPLACEMENT_POOL_SKIP,
+    POSITIONAL_ADJUSTMENTS,
+    REPLACEMENT_RUNS_PER_600_PA
+} = require('./stats-math');
+const { createApiClient } = require('./mlb-api');
+const { cacheFromEnv } = require('./response-cache');
+const { parseTeamFilter } = require('./output');
+const { listArchivedSeasons, writeSeasonFile, readSeasonFile, renderSeasonSwitcher, writeSeasonIndex } = require('./season-archive');
+const { recordTeamSnapshot } = require('./history');
+const { PLAYER_SEARCH_STYLES, renderPlayerSearch, PLAYER_SEARCH_SCRIPT } = require('./player-search');
+const { HEAT_MAP_SCRIPT } = require('./percentiles');
+const { SCHEMA_VERSION, teamStatsSchema, assertValid, upgradePlayerStats } = require('./data-schema');
+const { teamPagePath, writeTeamPages } = require('./team-pages');
 
 // Fetch teams for a season
-async function fetchTeams(season) {
-    const response = await fetch(`${API_BASE}/teams?sportId=1&season=${season}`);
-    const data = await response.json();
+async function fetchTeams(api, season) {
+    const data = await api.get(`/teams?sportId=1&season=${season}`);
     return data.teams;
 }
 
 // Fetch standings to get W-L records and games back
-async function fetchStandings(season) {
-    const response = await fetch(`${API_BASE}/standings?leagueId=103,104&season=${season}&standingsTypes=regularSeason`);
-    const data = await response.json();
+async function fetchStandings(api, season) {
+    const data = await api.get(`/standings?leagueId=103,104&season=${season}&standingsTypes=regularSeason`);
     return data.records;
 }
 
 // Fetch team stats
-async function fetchTeamStats(teamId, season) {
-    const response = await fetch(`${API_BASE}/teams/${teamId}/stats?stats=season&season=${season}&group=hitting,pitching,fielding`);
-    const data = await response.json();
+async function fetchTeamStats(api, teamId, season) {
+    const data = await api.get(`/teams/${teamId}/stats?stats=season&season=${season}&group=hitting,pitching,fielding`);
     return data.stats || [];
 }
 
-// Calculate Pythagorean Variance
-function calculatePythVar(w, l, rs, ra) {
-    const games = w + l;
-    if (games === 0) return 0;
-    const pythWins = (Math.pow(rs, 2) / (Math.pow(rs, 2) + Math.pow(ra, 2))) * games;
-    return w - pythWins;
-}
-
-// Calculate ISO (Isolated Power)
-function calculateISO(stats) {
-    const ab = stats.atBats || 0;
-    if (ab === 0) return 0;
-    
-    const hits = stats.hits || 0;
-    const doubles = stats.doubles || 0;
-    const triples = stats.triples || 0;
-    const hrs = stats.homeRuns || 0;
-    
-    const singles = hits - doubles - triples - hrs;
-    const tb = singles + (2 * doubles) + (3 * triples) + (4 * hrs);
-    const slg = tb / ab;
-    const avg = hits / ab;
-    
-    return slg - avg;
-}
-
-// Calculate OBP
-function calculateOBP(stats) {
-    const h = stats.hits || 0;
-    const bb = stats.baseOnBalls || 0;
-    const hbp = stats.hitByPitch || 0;
-    const ab = stats.atBats || 0;
-    const sf = stats.sacFlies || 0;
-    
-    const denominator = ab + bb + hbp + sf;
-    if (denominator === 0) return 0;
-    
-    return (h + bb + hbp) / denominator;
+// Fetch every regular-season game of a season in one request
+async function fetchSchedule(api, season) {
+    const data = await api.get(`/schedule?sportId=1&season=${season}&gameType=R`);
+    return data.dates || [];
 }
 
-// Calculate FIP (Fielding Independent Pitching)
-function calculateFIP(stats) {
-    const ip = parseFloat(stats.inningsPitched) || 0;
-    if (ip === 0) return 0;
+// Rebuild each team's season day by day from final scores: cumulative W, L, RS and RA
+// arrays aligned with a list of dates that had at least one completed game, plus games
+// back in the division. Every team in the standings is followed, so games back holds
+// under a team filter; only the teams in teamData are returned.
+function buildTrendData(scheduleDates, teamData, standingsMap) {
+    const totals = {};
+    const series = {};
+    for (const teamId of Object.keys(standingsMap)) {
+        totals[teamId] = { w: 0, l: 0, rs: 0, ra: 0 };
+        series[teamId] = { w: [], l: [], rs: [], ra: [], gb: [] };
+    }
     
-    const hr = stats.homeRuns || 0;
-    const bb = stats.baseOnBalls || 0;
-    const hbp = stats.hitByPitch || 0;
-    const k = stats.strikeOuts || 0;
+    const dates = [];
+    const counted = new Set();
+    for (const day of scheduleDates) {
+        let played = false;
+        for (const game of day.games || []) {
+            // Only completed games; a suspended game can be listed again on the day it resumed
+            if (!game.status || game.status.codedGameState !== 'F' || counted.has(game.gamePk)) continue;
+            counted.add(game.gamePk);
+            played = true;
+            
+            const { away, home } = game.teams;
+            for (const [side, opponent] of [[away, home], [home, away]]) {
+                const team = totals[side.team.id];
+                if (!team) continue;
+                team.rs += side.score || 0;
+                team.ra += opponent.score || 0;
+                if (side.isWinner) team.w++;
+                else if (opponent.isWinner) team.l++;
+            }
+        }
+        if (!played) continue;
+        
+        dates.push(day.date);
+        for (const [teamId, team] of Object.entries(totals)) {
+            for (const stat of ['w', 'l', 'rs', 'ra']) {
+                series[teamId][stat].push(team[stat]);
+            }
+        }
+        
+        // Games back from each division's leader (best W - L) on this date
+        const leaderMargin = {};
+        for (const [teamId, team] of Object.entries(totals)) {
+            const division = standingsMap[teamId].division;
+            if (!(leaderMargin[division] >= team.w - team.l)) leaderMargin[division] = team.w - team.l;
+        }
+        for (const [teamId, team] of Object.entries(totals)) {
+            series[teamId].gb.push((leaderMargin[standingsMap[teamId].division] - (team.w - team.l)) / 2);
+        }
+    }
     
-    // FIP formula without league adjustment constant
-    return (13 * hr + 3 * (bb + hbp) - 2 * k) / ip;
+    return {
+        dates: dates,
+        teams: Object.entries(series).filter(([teamId]) => teamData[teamId]).map(([teamId, stats]) => ({
+            id: parseInt(teamId),
+            abbreviation: teamData[teamId].abbreviation,
+            league: teamData[teamId].league === 'American League' ? 'AL' : 'NL',
+            division: teamData[teamId].division,
+            ...stats
+        }))
+    };
 }
 
-// Calculate DER (Defensive Efficiency Record)
-// DER = 1 - ((H + E - HR) / ((IP*3) + H + E - DP - HR - K))
-// All stats from pitching perspective
-function calculateDER(stats, teamName) {
-    const ip = parseFloat(stats.inningsPitched) || 0;
-    if (ip === 0) return 0;
-    
-    const h = stats.hits || 0;           // Hits allowed
-    const hr = stats.homeRuns || 0;      // Home runs allowed
-    const k = stats.strikeOuts || 0;     // Strikeouts by pitchers
-    
-    // Check if errors and double plays are available
-    const e = stats.errors || 0;
-    const dp = stats.doublePlays || 0;
-    
-    // Log first team's available stats for debugging
-    if (teamName && teamName.includes('Yankees')) {
-        console.log(`DER Debug for ${teamName}: IP=${ip}, H=${h}, HR=${hr}, K=${k}, E=${e}, DP=${dp}`);
-    }
-    
-    // DER = 1 - ((H + E - HR) / ((IP*3) + H + E - DP - HR - K))
-    const numerator = h + e - hr;
-    const denominator = (ip * 3) + h + e - dp - hr - k;
-    
-    if (denominator <= 0) return 0;
-    
-    return 1 - (numerator / denominator);
+// FIP constant and replacement level from player-stats.json, or the defaults for older files
+function leagueConstants(playerStats) {
+    return playerStats.constants || { fipConstant: FIP_CONSTANT, replacementFIP: REPLACEMENT_FIP };
 }
 
-async function checkSeasonHasData(season) {
+async function checkSeasonHasData(api, season) {
     try {
-        const teams = await fetchTeams(season);
+        const teams = await fetchTeams(api, season);
         if (!teams || teams.length === 0) {
             console.log(`${season}: No teams found`);
             return false;
         }
         
         // Try to fetch standings to verify season has actual game data
-        const standings = await fetchStandings(season);
+        const standings = await fetchStandings(api, season);
         if (!standings || standings.length === 0) {
             console.log(`${season}: No standings found`);
             return false;
@@ -149,18 +155,32 @@ async function checkSeasonHasData(season) {
     }
 }
 
-async function generateHTML() {
-    const currentYear = new Date().getFullYear();
+// Options (all optional):
+//   season      - season to build; by default the current year, or last year if it has no data yet
+//   teams       - team abbreviations to include ("NYY,BOS" or an array); default all 30
+//   outDir      - directory for index.html, also where player-stats.json is read from; default "."
+//   dryRun      - fetch and build everything but write nothing
+//   playerStats - leaderboard data to use instead of reading player-stats.json
+//   cache       - response cache (default from STATS_CACHE_MODE / STATS_CACHE_DIR)
+//   api         - Stats API client (default: a new client using the cache)
+async function generateHTML(options = {}) {
+    const cache = options.cache || cacheFromEnv();
+    const api = options.api || createApiClient({ cache });
+    
+    // Recorded run time when replaying from the response cache, otherwise now
+    const runDate = cache.runDate('graphs');
+    const currentYear = runDate.getFullYear();
     
     // Determine which season to use
-    let season = currentYear;
-    console.log(`Checking for ${currentYear} season data...`);
-    const hasCurrentData = await checkSeasonHasData(currentYear);
+    let season = options.season ? parseInt(options.season) : currentYear;
+    if (!options.season) {
+        console.log(`Checking for ${currentYear} season data...`);
+    }
     
-    if (!hasCurrentData) {
+    if (!options.season && !(await checkSeasonHasData(api, currentYear))) {
         console.log(`No data for ${currentYear}, trying ${currentYear - 1}...`);
         season = currentYear - 1;
-        const hasPriorData = await checkSeasonHasData(season);
+        const hasPriorData = await checkSeasonHasData(api, season);
         if (!hasPriorData) {
             throw new Error(`No data available for ${currentYear} or ${season}`);
         }
@@ -171,23 +191,26 @@ async function generateHTML() {
     // Read player stats JSON for leaderboards
     let playerStats = { batters: [], pitchers: [] };
     try {
-        const jsonData = fs.readFileSync('player-stats.json', 'utf8');
-        playerStats = JSON.parse(jsonData);
+        playerStats = upgradePlayerStats(options.playerStats || JSON.parse(readSeasonFile(options, season, 'player-stats.json')));
         console.log(`Loaded player stats: ${playerStats.batters.length} batters, ${playerStats.pitchers.length} pitchers`);
     } catch (error) {
         console.log('Warning: Could not load player-stats.json for leaderboards:', error.message);
     }
     
+    // Use the stats page's league-derived FIP constant so team and player FIP agree
+    const constants = leagueConstants(playerStats);
+    console.log(`Using FIP constant ${constants.fipConstant}`);
+    
     // Fetch teams and standings
     console.log(`Fetching teams for ${season}...`);
-    const teams = await fetchTeams(season);
+    const teams = await fetchTeams(api, season);
     if (!teams || teams.length === 0) {
         throw new Error(`Failed to fetch teams for ${season}`);
     }
     console.log(`Found ${teams.length} teams`);
     
     console.log(`Fetching standings for ${season}...`);
-    const standingsRecords = await fetchStandings(season);
+    const standingsRecords = await fetchStandings(api, season);
     if (!standingsRecords || standingsRecords.length === 0) {
         throw new Error(`Failed to fetch standings for ${season}`);
     }
@@ -230,30 +253,46 @@ async function generateHTML() {
     
     console.log(`Processing ${Object.keys(standingsMap).length} teams with standings data...`);
     
-    // Process each team
-    const teamData = {};
-    let processedCount = 0;
-    
-    for (const team of teams) {
+    const teamFilter = parseTeamFilter(options.teams);
+    const eligibleTeams = teams.filter(team => {
+        // Skip teams left out by the team filter
+        if (teamFilter && !teamFilter.includes(team.abbreviation)) {
+            return false;
+        }
+        
+
         // Skip teams without standings data (e.g., All-Star teams)
         if (!standingsMap[team.id]) {
             console.log(`Skipping ${team.name} - no standings data`);
-            continue;
+            return false;
         }
         
         // Skip teams without league info
         if (!team.league || !team.league.name) {
             console.log(`Skipping ${team.name} - no league info`);
-            continue;
+            return false;
         }
         
+        return true;
+    });
+    
+    // Request all team stats at once; the API client handles concurrency and rate limiting.
+    // A failed request resolves to its error so the remaining teams still get processed.
+    console.log(`Fetching stats for ${eligibleTeams.length} teams...`);
+    const teamStatsResults = await Promise.all(eligibleTeams.map(team =>
+        fetchTeamStats(api, team.id, season).catch(error => error)));
+    
+    // Process each team
+    const teamData = {};
+    let processedCount = 0;
+    
+    for (const [index, team] of eligibleTeams.entries()) {
         const standings = standingsMap[team.id];
         
-        console.log(`Fetching stats for ${team.name}...`);
-        
         try {
             // Get team stats
-            const stats = await fetchTeamStats(team.id, season);
+            const stats = teamStatsResults[index];
+            if (stats instanceof Error) throw stats;
             let hittingStats = {};
             let pitchingStats = {};
             let fieldingStats = {};
@@ -307,14 +346,11 @@ async function generateHTML() {
                 raPerGame: gamesPlayed > 0 ? ra / gamesPlayed : 0,
                 obp: calculateOBP(hittingStats),
                 iso: calculateISO(hittingStats),
-                fip: calculateFIP(pitchingStats),
-                der: calculateDER(pitchingStats, team.name)
+                fip: calculateFIP(pitchingStats, constants.fipConstant),
+                der: calculateDER(pitchingStats)
             };
             
             processedCount++;
-            
-            // Add small delay to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 100));
         } catch (error) {
             console.error(`Error processing ${team.name}:`, error.message);
             // Continue with other teams even if one fails
@@ -340,8 +376,18 @@ async function generateHTML() {
         }));
     }
     
+    // Day-by-day results for the Trends tab; the rest of the page doesn't depend on them
+    let trendData = null;
+    try {
+        console.log(`Fetching ${season} schedule results...`);
+        trendData = buildTrendData(await fetchSchedule(api, season), teamData, standingsMap);
+        console.log(`Built trends for ${trendData.dates.length} dates`);
+    } catch (error) {
+        console.log('Warning: Could not build season trends:', error.message);
+    }
+    
     // Generate the HTML
-    const now = new Date();
+    const now = runDate;
     const dateStr = now.toLocaleDateString('en-US', { 
         weekday: 'long', 
         year: 'numeric', 
@@ -357,13 +403,39 @@ async function generateHTML() {
     });
     const dateTimeStr = dateStr + ' at ' + timeStr;
     
-    const html = generateHTMLContent(season, dateTimeStr, teamData, playerStats);
+    // The team lines behind the page, for other tools. They're checked against their schema
+    // before anything is written, so a bad run leaves the published files as they were.
+    const teamStatsJson = {
+        schemaVersion: SCHEMA_VERSION,
+        season: season,
+        updated: runDate.toISOString(),
+        teams: teamData
+    };
+    assertValid(teamStatsSchema(), teamStatsJson, 'team-stats.json');
+    
+    // The page is rendered once per location (top level and season archive)
+    const seasons = listArchivedSeasons(options, season);
+    writeSeasonFile(options, season, 'index.html', rootPath =>
+        generateHTMLContent(season, dateTimeStr, teamData, playerStats, trendData, { rootPath, seasons }));
+    const teamPageCount = writeTeamPages(options, season, teamData, playerStats, dateTimeStr);
+
+    writeSeasonFile(options, season, 'team-stats.json', () => JSON.stringify(teamStatsJson, null, 2));
+    writeSeasonFile(options, season, 'team-stats.schema.json', () => JSON.stringify(teamStatsSchema(), null, 2));
+    console.log(`Wrote ${teamPageCount} team pages`);
+    writeSeasonIndex(options, season);
     
-    fs.writeFileSync('index.html', html);
-    console.log('Generated index.html successfully!');
+    // Add today's team lines to the season's history (backfills have no "today")
+    if (!options.archiveOnly) {
+        recordTeamSnapshot(options, season, runDate, teamData);
+    }
+    
+    api.logSummary();
+    return teamData;
 }
 
-function generateHTMLContent(season, dateStr, teamData, playerStats) {
+// trendData: output of buildTrendData, or null if the schedule couldn't be fetched
+// archive: { rootPath, seasons } - path back to the site root, and the seasons for the switcher
+function generateHTMLContent(season, dateStr, teamData, playerStats, trendData, archive) {
     // Debug: log what we received
     const teamCount = Object.keys(teamData).length;
     console.log(`generateHTMLContent received ${teamCount} teams`);
@@ -372,6 +444,8 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
         console.log(`Sample team: league="${sampleTeam.league}", division="${sampleTeam.division}", divAbbrev="${sampleTeam.divisionAbbrev}"`);
     }
     
+    const constants = leagueConstants(playerStats);
+    
     // Separate teams by league and division
     const alTeams = Object.values(teamData).filter(t => t.league === 'American League');
     const nlTeams = Object.values(teamData).filter(t => t.league === 'National League');
@@ -442,25 +516,11 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                 // Clinch indicator from API: z=Division+Best Record, y=Division, w=Wild Card
                 const clinchSuffix = team.clinchIndicator ? `-${team.clinchIndicator}` : '';
                 
-                // Fangraphs team slug mapping
-                const fangraphsSlugs = {
-                    'ARI': 'diamondbacks', 'ATL': 'braves', 'BAL': 'orioles', 'BOS': 'red-sox',
-                    'CHC': 'cubs', 'CWS': 'white-sox', 'CIN': 'reds', 'CLE': 'guardians',
-                    'COL': 'rockies', 'DET': 'tigers', 'HOU': 'astros', 'KC': 'royals',
-                    'LAA': 'angels', 'LAD': 'dodgers', 'MIA': 'marlins', 'MIL': 'brewers',
-                    'MIN': 'twins', 'NYM': 'mets', 'NYY': 'yankees', 'OAK': 'athletics',
-                    'PHI': 'phillies', 'PIT': 'pirates', 'SD': 'padres', 'SF': 'giants',
-                    'SEA': 'mariners', 'STL': 'cardinals', 'TB': 'rays', 'TEX': 'rangers',
-                    'TOR': 'blue-jays', 'WSH': 'nationals'
-                };
-                const fgSlug = fangraphsSlugs[team.abbreviation] || team.abbreviation.toLowerCase();
-                const teamUrl = `https://www.fangraphs.com/teams/${fgSlug}`;
-                
                 // Format WC Rank - show rank number, or "-" for division leaders
                 const wcRankDisplay = team.wcRank ? team.wcRank : '-';
                 
                 html += `<tr class="hover:bg-blue-50 leading-tight">`;
-                html += `<td class="py-0 px-2"><a href="${teamUrl}" target="_blank" style="color: #2563eb; text-decoration: underline;">${team.name}</a>${clinchSuffix}</td>`;
+                html += `<td class="py-0 px-2"><a href="${teamPagePath(team.name)}" style="color: #2563eb; text-decoration: underline;">${team.name}</a>${clinchSuffix}</td>`;
                 html += `<td class="text-right py-0 px-2">${team.w}</td>`;
                 html += `<td class="text-right py-0 px-2">${team.l}</td>`;
                 html += `<td class="text-right py-0 px-2">${team.gb === '0.0' ? '-' : team.gb}</td>`;
@@ -482,6 +542,22 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
     const nlStandingsHTML = generateStandingsHTML(nlDivisions, 'NL');
     
     // Prepare data for graphs (as JSON)
+    // Season / last-N-days links for a leaderboard, when player-stats.json has rolling windows
+    function renderWindowLinks(type) {
+        if (!playerStats.windowRanges) return '';
+        const setter = { batter: 'setBatterWindow', pitcher: 'setPitcherWindow', player: 'setPlayerWindow' }[type];
+        const links = [`<a href="#" class="filter-link ${type}-window active" data-value="season" onclick="${setter}('season'); return false;">Season</a>`];
+        for (const [key, range] of Object.entries(playerStats.windowRanges)) {
+            const days = key.replace('last', '');
+            links.push(`<a href="#" class="filter-link ${type}-window" data-value="${key}" title="${range.start} to ${range.end}" onclick="${setter}('${key}'); return false;">Last ${days}</a>`);
+        }
+        return `
+                <span class="control-group">
+                    <span class="control-label">Stats:</span>
+                    ${links.join('\n                    <span class="filter-sep">|</span>\n                    ')}
+                </span>`;
+    }
+    
     const alTeamsData = JSON.stringify(alTeams);
     const nlTeamsData = JSON.stringify(nlTeams);
     
@@ -491,7 +567,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Baseball Graphs Daily</title>
-    <link rel="icon" href="favicon.png">
+    <link rel="icon" href="${archive.rootPath}favicon.png">
     <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js"></script>
     <script src="https://cdn.tailwindcss.com"></script>
     <style>
@@ -572,6 +648,33 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
         .nav-bar a:not(.active):hover {
             background: #d1d5db;
         }
+        .season-switcher {
+            display: flex;
+            justify-content: flex-end;
+            align-items: center;
+            gap: 8px;
+            margin: -10px 0 20px 0;
+            font-size: 0.95em;
+        }
+        .season-switcher label {
+            color: #1e3a8a;
+            font-weight: bold;
+        }
+        .season-switcher select {
+            padding: 4px 8px;
+            font-family: Georgia, "Times New Roman", serif;
+            border: 1px solid #888;
+            border-radius: 4px;
+            background-color: white;
+            cursor: pointer;
+        }
+        .season-switcher a {
+            color: #2563eb;
+            text-decoration: none;
+        }
+        .season-switcher a:hover {
+            text-decoration: underline;
+        }
         .league-selector {
             display: flex;
             gap: 20px;
@@ -648,6 +751,12 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
         .tab-content.bg-green-50 {
             background-color: #f0fdf4;
         }
+        .tab-content.bg-purple-50 {
+            background-color: #faf5ff;
+        }
+        .trend-controls {
+            justify-content: center;
+        }
         .chart-container {
             position: relative;
             height: 500px;
@@ -791,6 +900,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             border: 2px solid #CD853F;
             border-radius: 8px;
             box-shadow: 0 2px 4px rgba(139, 69, 19, 0.15);
+            overflow-x: auto;
         }
         .leaderboard-title {
             font-size: 1.4em;
@@ -918,6 +1028,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             text-decoration: underline;
             color: #1e40af;
         }
+        ${PLAYER_SEARCH_STYLES}
     </style>
 </head>
 <body>
@@ -936,6 +1047,10 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             <a href="player_stats.html">Player Stats</a>
         </div>
         
+        ${renderPlayerSearch()}
+        
+        ${renderSeasonSwitcher(archive.seasons, season, 'index.html', archive.rootPath)}
+        
         <div class="standings-box">
             <div class="league-selector">
                 <label>
@@ -953,7 +1068,8 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                 ${alStandingsHTML}
                 <div class="footer-note">
                     WC = Wild Card Rank | PythVar = Actual Wins âˆ’ Pythagorean Expected Wins<br>
-                    <strong>z</strong>=Clinched Division &amp; Best Record | <strong>y</strong>=Clinched Division | <strong>w</strong>=Clinched Wild Card
+                    <strong>z</strong>=Clinched Division &amp; Best Record | <strong>y</strong>=Clinched Division | <strong>w</strong>=Clinched Wild Card<br>
+                    Click a team for its page: standings, graphs, team ranks and roster
                     
                 </div>
             </div>
@@ -963,7 +1079,8 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                 ${nlStandingsHTML}
                 <div class="footer-note">
                     WC = Wild Card Rank | PythVar = Actual Wins âˆ’ Pythagorean Expected Wins<br>
-                    <strong>z</strong>=Clinched Division &amp; Best Record | <strong>y</strong>=Clinched Division | <strong>w</strong>=Clinched Wild Card
+                    <strong>z</strong>=Clinched Division &amp; Best Record | <strong>y</strong>=Clinched Division | <strong>w</strong>=Clinched Wild Card<br>
+                    Click a team for its page: standings, graphs, team ranks and roster
                 
                 </div>
             </div>
@@ -974,6 +1091,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                 <button class="tab-button active" onclick="switchTab(1)">Run Differential</button>
                 <button class="tab-button" onclick="switchTab(2)">Runs Scored</button>
                 <button class="tab-button" onclick="switchTab(3)">Runs Allowed</button>
+                <button class="tab-button" onclick="switchTab(4)">Trends</button>
             </div>
             
             <div id="tab1" class="tab-content bg-red-50">
@@ -1050,7 +1168,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                             <summary>About This Graph</summary>
                             <div class="content">
                                 <p><strong>Separating the Impact of Pitching and Fielding</strong></p>
-                                <p class="mb-2">The easiest way to judge the effectiveness of pitching is to isolate those things that don't involve fielders: Strikeouts, Walks and Home Runs. That's what FIP ((HRA*13+BB*3-K*2)/IP) measures. (Technical note: I don't add the league adjustment to FIP, because it doesn't matter for graphing purposes.)</p>
+                                <p class="mb-2">The easiest way to judge the effectiveness of pitching is to isolate those things that don't involve fielders: Strikeouts, Walks and Home Runs. That's what FIP ((HRA*13+(BB+HBP)*3-K*2)/IP + ${constants.fipConstant.toFixed(2)}) measures, using the same formula and league-derived constant as the Player Stats page.</p>
                             
                                 <p class="mb-2">All other batting events are batted balls that involve fielders. To measure what happens on those balls, we use Defense Efficiency Ratio (DER), which is simply the percent of batted balls (not including home runs) turned into outs by fielders. DER reflects a lot of complex stuff, such the quality of the fielders, the gloves, the ballpark configurations, how hard the ball was hit, where it was hit, and probably a few more things I haven't thought of. So it isn't a perfect measure of fielding excellence but it's not bad and it's easy to calculate.</p> 
 
@@ -1060,6 +1178,45 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                     </div>
                 </div>
             </div>
+            
+            <div id="tab4" class="tab-content bg-purple-50" style="display: none;">
+                <h2 style="text-align: center; font-size: 1.5em; margin-bottom: 5px;">Season Trends: How the Race Developed</h2>
+                <p id="graph4Title" style="text-align: center; color: #666; margin-bottom: 15px;"></p>
+                <div class="leaderboard-controls trend-controls">
+                    <span class="control-group">
+                        <span class="control-label">Show:</span>
+                        <a href="#" class="filter-link trend-metric active" data-value="runDiff" onclick="setTrendMetric('runDiff'); return false;">Run Differential</a>
+                        <span class="filter-sep">|</span>
+                        <a href="#" class="filter-link trend-metric" data-value="winPct" onclick="setTrendMetric('winPct'); return false;">Win% vs Pythagorean</a>
+                        <span class="filter-sep">|</span>
+                        <a href="#" class="filter-link trend-metric" data-value="gamesBack" onclick="setTrendMetric('gamesBack'); return false;">Games Back</a>
+                    </span>
+                </div>
+                <div class="chart-container">
+                    <canvas id="chart4"></canvas>
+                </div>
+                <div class="graph-info">
+                    <p>Click a team in the legend to hide or show its line</p>
+                    <p>On the Win% chart, solid lines are actual winning percentage and dotted lines are Pythagorean expectation</p>
+                    <p>Hover over a line to see each team's numbers on that date</p>
+                </div>
+                <a class="download-link" onclick="downloadChart(4)">Download Graph</a>
+                <div class="graph-controls">
+                    <div class="about-graph">
+                        <details>
+                            <summary>About This Graph</summary>
+                            <div class="details-content">
+                            <p><strong>The Season So Far</strong></p>
+                            <p class="mb-2">The other graphs are snapshots of where teams stand today. This one rebuilds every team's season game by game from the final scores, so you can see when a team got hot, when it slumped and when the division race turned.</p>
+                            
+                            <p class="mb-2">Cumulative run differential is runs scored minus runs allowed to date. Win% vs Pythagorean compares each team's actual winning percentage with the (RS^2)/(RS^2+RA^2) expectation from the first graph; a solid line running above its dotted line means the team has won more than its runs would predict. Games Back is measured against the division leader on each date, with the leader at the top.</p>
+                            
+                            <p>Early-season numbers swing wildly on small samples, so don't read too much into April.</p>
+                        </div>
+                        </details>
+                    </div>
+                </div>
+            </div>
         </div>
     </div>
     
@@ -1073,16 +1230,19 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
         <details class="about-stats">
             <summary>About These Stats</summary>
             <div class="about-stats-content">
-                <p>These leaderboards show individual player statistics for the current season. Click any column header to sort by that stat. Click again to reverse the sort order. Use the filters above each table to focus on qualified players, specific leagues, or age groups. The "Qualified" checkbox filters for players with enough playing time to be statistically meaningful.</p>
+                <p>These leaderboards show individual player statistics for the current season. Click any column header to sort by that stat. Click again to reverse the sort order. Use the filters above each table to focus on qualified players, specific leagues, or age groups. The "Qualified" checkbox filters for players with enough playing time to be statistically meaningful. During the season, the Stats links switch a leaderboard to the last 7, 14 or 30 days; "Qualified" then scales to that stretch. "Heat map" shades each stat by the player's percentile among the league's qualified players, from blue at the bottom through white to red at the top; for stats where lower is better, like ERA, the top is the lowest.</p>
                                 
-                <p>The stats have been pulled from the official MLB Stats API. Player names link to their Baseball Savant profiles for advanced metrics and visualizations. Lefties have an asterisk; switch-hitters have a cross.</p>
+                <p>The stats have been pulled from the official MLB Stats API. Player names link to their own pages, with career stats, league percentiles and links on to Baseball Savant. Lefties have an asterisk; switch-hitters have a cross.</p>
                 
                 <p>Most of these are standard stats, but I've added a few simple sabermetric takes to sort players by their impact.</p>
                 
                 <ul>
                     <li><strong>RC (Runs Created)</strong> is simply OBPxTB</li>
-                    <li><strong>FIP (Fielding Independent Pitching)</strong> ((13xHR)+(3x(BB+HBP))-(2xK))/IP + 3.10</li>
-                    <li><strong>FIPAR (FIP Above Replacement)</strong> (6-FIP)xIP/9</li>
+                    <li><strong>wOBA (Weighted On-Base Average)</strong> credits each way of reaching base (and stolen bases, minus caught stealing) by its run value, using linear weights worked out from this season's league totals</li>
+                    <li><strong>wRC+ and OPS+</strong> compare a hitter with league average (100), adjusted for his home park</li>
+                    <li><strong>FIP (Fielding Independent Pitching)</strong> ((13xHR)+(3x(BB+HBP))-(2xK))/IP + ${constants.fipConstant.toFixed(2)}. The constant is league ERA minus league FIP without it, recalculated every day so the two match.</li>
+                    <li><strong>FIPAR (FIP Above Replacement)</strong> (${constants.replacementFIP.toFixed(2)}-FIP)xIP/9. Replacement level is the combined FIP of every team's pitchers beyond its top ${REPLACEMENT_POOL_SKIP} in innings.</li>
+                    <li><strong>WAR (Wins Above Replacement)</strong> puts hitters and pitchers on one scale for Top Players. A hitter's runs are his park-adjusted wRAA, plus a positional adjustment per 162 games (C +${POSITIONAL_ADJUSTMENTS.C}, SS +${POSITIONAL_ADJUSTMENTS.SS}, 2B/3B/CF +${POSITIONAL_ADJUSTMENTS['2B']}, LF/RF ${POSITIONAL_ADJUSTMENTS.LF}, 1B ${POSITIONAL_ADJUSTMENTS['1B']}, DH ${POSITIONAL_ADJUSTMENTS.DH}), plus ${REPLACEMENT_RUNS_PER_600_PA} replacement runs per 600 PA. A pitcher's runs are his FIPAR. Runs become wins at ${constants.runsPerWin ? constants.runsPerWin.toFixed(1) : 'about 10'} runs per win (9x league runs per inning x1.5 + 3). Two-way players get both added together. There's no fielding or baserunning beyond SB/CS.</li>
                 </ul>
                 
                 <p>These stats are value approximations only. Please don't quote them. For actual good sabermetric stats, go to <a href="https://www.fangraphs.com/">Fangraphs</a> or <a href="https://www.baseball-reference.com/">Baseball Reference</a>.</p>
@@ -1090,6 +1250,48 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             </div>
         </details>
         
+        <!-- Top Players Leaderboard -->
+        <div class="leaderboard-box">
+            <div class="leaderboard-title">Top Players</div>
+            <div class="leaderboard-controls">
+                <span class="control-group">
+                    <span class="control-label">League:</span>
+                    <a href="#" class="filter-link player-league active" data-value="MLB" onclick="setPlayerLeague('MLB'); return false;">MLB</a>
+                    <span class="filter-sep">|</span>
+                    <a href="#" class="filter-link player-league" data-value="AL" onclick="setPlayerLeague('AL'); return false;">AL</a>
+                    <span class="filter-sep">|</span>
+                    <a href="#" class="filter-link player-league" data-value="NL" onclick="setPlayerLeague('NL'); return false;">NL</a>
+                </span>
+                <span class="control-group">
+                    <span class="control-label">Show:</span>
+                    <a href="#" class="filter-link player-count" data-value="5" onclick="setPlayerCount(5); return false;">Top 5</a>
+                    <span class="filter-sep">|</span>
+                    <a href="#" class="filter-link player-count active" data-value="10" onclick="setPlayerCount(10); return false;">Top 10</a>
+                    <span class="filter-sep">|</span>
+                    <a href="#" class="filter-link player-count" data-value="15" onclick="setPlayerCount(15); return false;">Top 15</a>
+                    <span class="filter-sep">|</span>
+                    <a href="#" class="filter-link player-count" data-value="20" onclick="setPlayerCount(20); return false;">Top 20</a>
+                </span>${renderWindowLinks('player')}
+            </div>
+            <table class="leaderboard-table">
+                <thead>
+                    <tr>
+                        <th class="text-left">Player</th>
+                        <th class="text-left">Team</th>
+                        <th class="text-right">Age</th>
+                        <th class="text-left">Pos</th>
+                        <th class="text-right">PA</th>
+                        <th class="text-right">IP</th>
+                        <th class="text-right">Bat WAR</th>
+                        <th class="text-right">Pit WAR</th>
+                        <th class="text-right sorted">WAR</th>
+                    </tr>
+                </thead>
+                <tbody id="playerLeaderboardBody">
+                </tbody>
+            </table>
+        </div>
+        
         <!-- Batting Leaderboard -->
         <div class="leaderboard-box">
             <div class="leaderboard-title">Batting Leaders</div>
@@ -1117,10 +1319,15 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                         <input type="checkbox" id="batterQualified" onchange="updateBatterLeaderboard()"> Qualified only
                     </label>
                 </span>
+                <span class="control-group">
+                    <label class="checkbox-label" title="Shade each stat by the player's percentile among qualified batters">
+                        <input type="checkbox" id="batterHeatMap" onchange="updateBatterLeaderboard()"> Heat map
+                    </label>
+                </span>
                 <span class="control-group">
                     <span class="control-label">Max age:</span>
                     <input type="number" class="age-input" id="batterMaxAge" min="18" max="50" value="" placeholder="Any" onchange="updateBatterLeaderboard()">
-                </span>
+                </span>${renderWindowLinks('batter')}
             </div>
             <table class="leaderboard-table">
                 <thead>
@@ -1137,12 +1344,22 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                         <th class="text-right sortable" id="th-obp" onclick="sortBatters('obp')">OBP</th>
                         <th class="text-right sortable" id="th-slg" onclick="sortBatters('slg')">SLG</th>
                         <th class="text-right sortable" id="th-ops" onclick="sortBatters('ops')">OPS</th>
+                        <th class="text-right sortable" id="th-woba" onclick="sortBatters('woba')">wOBA</th>
+                        <th class="text-right sortable" id="th-wrcPlus" onclick="sortBatters('wrcPlus')">wRC+</th>
+                        <th class="text-right sortable" id="th-opsPlus" onclick="sortBatters('opsPlus')">OPS+</th>
                         <th class="text-right sortable" id="th-h" onclick="sortBatters('h')">H</th>
                         <th class="text-right sortable" id="th-doubles" onclick="sortBatters('doubles')">2B</th>
                         <th class="text-right sortable" id="th-triples" onclick="sortBatters('triples')">3B</th>
                         <th class="text-right sortable" id="th-hr" onclick="sortBatters('hr')">HR</th>
                         <th class="text-right sortable" id="th-tb" onclick="sortBatters('tb')">TB</th>
                         <th class="text-right sortable" id="th-sb" onclick="sortBatters('sb')">SB</th>
+                        <th class="text-right sortable" id="th-bbPct" onclick="sortBatters('bbPct')">BB%</th>
+                        <th class="text-right sortable" id="th-kPct" onclick="sortBatters('kPct')">K%</th>
+                        <th class="text-right sortable" id="th-iso" onclick="sortBatters('iso')">ISO</th>
+                        <th class="text-right sortable" id="th-babip" onclick="sortBatters('babip')">BABIP</th>
+                        <th class="text-right sortable" id="th-sbPct" onclick="sortBatters('sbPct')">SB%</th>
+                        <th class="text-right sortable" id="th-xbhPct" onclick="sortBatters('xbhPct')">XBH%</th>
+                        <th class="text-right sortable" id="th-gbFb" onclick="sortBatters('gbFb')">GB/FB</th>
                     </tr>
                 </thead>
                 <tbody id="batterLeaderboardBody">
@@ -1177,10 +1394,15 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                         <input type="checkbox" id="pitcherQualified" onchange="updatePitcherLeaderboard()"> Qualified only
                     </label>
                 </span>
+                <span class="control-group">
+                    <label class="checkbox-label" title="Shade each stat by the player's percentile among qualified pitchers">
+                        <input type="checkbox" id="pitcherHeatMap" onchange="updatePitcherLeaderboard()"> Heat map
+                    </label>
+                </span>
                 <span class="control-group">
                     <span class="control-label">Max age:</span>
                     <input type="number" class="age-input" id="pitcherMaxAge" min="18" max="50" value="" placeholder="Any" onchange="updatePitcherLeaderboard()">
-                </span>
+                </span>${renderWindowLinks('pitcher')}
             </div>
             <table class="leaderboard-table">
                 <thead>
@@ -1200,7 +1422,16 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                         <th class="text-right sortable" id="th-p-sv" onclick="sortPitchers('sv')">SV</th>
                         <th class="text-right sortable" id="th-p-hr" onclick="sortPitchers('hr')">HR</th>
                         <th class="text-right sortable" id="th-p-bb" onclick="sortPitchers('bb')">BB</th>
-                        <th class="text-right sortable" id="th-p-k" onclick="sortPitchers('k')">K</th>
+                        <th class="text-right sortable" id="th-p-so" onclick="sortPitchers('so')">K</th>
+                        <th class="text-right sortable" id="th-p-bf" onclick="sortPitchers('bf')">BF</th>
+                        <th class="text-right sortable" id="th-p-kPct" onclick="sortPitchers('kPct')">K%</th>
+                        <th class="text-right sortable" id="th-p-bbPct" onclick="sortPitchers('bbPct')">BB%</th>
+                        <th class="text-right sortable" id="th-p-kbbPct" onclick="sortPitchers('kbbPct')">K-BB%</th>
+                        <th class="text-right sortable" id="th-p-hr9" onclick="sortPitchers('hr9')">HR/9</th>
+                        <th class="text-right sortable" id="th-p-babip" onclick="sortPitchers('babip')">BABIP</th>
+                        <th class="text-right sortable" id="th-p-lobPct" onclick="sortPitchers('lobPct')">LOB%</th>
+                        <th class="text-right sortable" id="th-p-xfip" onclick="sortPitchers('xfip')">xFIP</th>
+                        <th class="text-right sortable" id="th-p-siera" onclick="sortPitchers('siera')">SIERA</th>
                     </tr>
                 </thead>
                 <tbody id="pitcherLeaderboardBody">
@@ -1214,8 +1445,10 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
         const nlData = ${nlTeamsData};
         const batterData = ${JSON.stringify(playerStats.batters)};
         const pitcherData = ${JSON.stringify(playerStats.pitchers)};
+        const trendData = ${JSON.stringify(trendData)};
         let currentLeague = 'AL';
-        let chart1, chart2, chart3;
+        let chart1, chart2, chart3, chart4;
+        let trendMetric = 'runDiff';
         
         // Leaderboard sort state
         let batterSortStat = 'rc';
@@ -1228,6 +1461,11 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
         let batterCount = 10;
         let pitcherLeague = 'MLB';
         let pitcherCount = 10;
+        let batterWindow = 'season';
+        let pitcherWindow = 'season';
+        let playerLeague = 'MLB';
+        let playerCount = 10;
+        let playerWindow = 'season';
         
         // Plugin to draw team labels with collision detection
         const labelPlugin = {
@@ -1340,7 +1578,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
         
         function switchTab(tabNum) {
             // Hide all tabs
-            for (let i = 1; i <= 3; i++) {
+            for (let i = 1; i <= 4; i++) {
                 document.getElementById('tab' + i).style.display = 'none';
                 document.querySelectorAll('.tab-button')[i - 1].classList.remove('active');
             }
@@ -1354,6 +1592,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             updateChart1();
             updateChart2();
             updateChart3();
+            updateChart4();
         }
         
         function calculateIsobar(teams, pythPct) {
@@ -1679,6 +1918,154 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             });
         }
         
+        // Distinct line colors for up to 15 teams in a league
+        const trendColors = [
+            '#ef4444', '#3b82f6', '#22c55e', '#f59e0b', '#8b5cf6',
+            '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16',
+            '#06b6d4', '#a16207', '#64748b', '#be123c', '#15803d'
+        ];
+        
+        const trendMetricNames = {
+            runDiff: 'Cumulative Run Differential',
+            winPct: 'Win% vs Pythagorean Win%',
+            gamesBack: 'Games Back in Division'
+        };
+        
+        function setTrendMetric(metric) {
+            trendMetric = metric;
+            document.querySelectorAll('.filter-link.trend-metric').forEach(el => {
+                el.classList.toggle('active', el.dataset.value === metric);
+            });
+            updateChart4();
+        }
+        
+        function trendPoint(value) {
+            return value === null || isNaN(value) ? null : value;
+        }
+        
+        function updateChart4() {
+            document.getElementById('graph4Title').textContent = currentLeague + ' - ${season}';
+            
+            const ctx = document.getElementById('chart4');
+            if (chart4) chart4.destroy();
+            if (!trendData || trendData.dates.length === 0) {
+                document.getElementById('graph4Title').textContent = 'No game results available for ${season} yet';
+                return;
+            }
+            
+            const teams = trendData.teams
+                .filter(t => t.league === currentLeague)
+                .sort((a, b) => a.abbreviation.localeCompare(b.abbreviation));
+            const labels = trendData.dates.map(d => {
+                const [, month, day] = d.split('-');
+                return parseInt(month) + '/' + parseInt(day);
+            });
+            
+            const datasets = [];
+            teams.forEach((team, index) => {
+                const color = trendColors[index % trendColors.length];
+                const line = {
+                    label: team.abbreviation,
+                    teamId: team.id,
+                    borderColor: color,
+                    backgroundColor: color,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    fill: false,
+                    tension: 0.1
+                };
+                
+                if (trendMetric === 'runDiff') {
+                    datasets.push({ ...line, data: team.rs.map((rs, i) => rs - team.ra[i]) });
+                } else if (trendMetric === 'gamesBack') {
+                    datasets.push({ ...line, data: team.gb });
+                } else {
+                    datasets.push({ ...line, data: team.w.map((w, i) => trendPoint(w / (w + team.l[i]))) });
+                    datasets.push({
+                        ...line,
+                        label: team.abbreviation + ' (Pyth)',
+                        pythagorean: true,
+                        borderWidth: 1.5,
+                        borderDash: [5, 5],
+                        data: team.rs.map((rs, i) => trendPoint(Math.pow(rs, 2) / (Math.pow(rs, 2) + Math.pow(team.ra[i], 2))))
+                    });
+                }
+            });
+            
+            const formatValue = {
+                runDiff: v => (v > 0 ? '+' : '') + v,
+                winPct: v => formatRate(v),
+                gamesBack: v => (v === 0 ? '-' : v.toFixed(1))
+            }[trendMetric];
+            
+            chart4 = new Chart(ctx, {
+                type: 'line',
+                data: { labels: labels, datasets: datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: {
+                        duration: 1000,
+                        easing: 'easeOutQuart'
+                    },
+                    interaction: {
+                        mode: 'nearest',
+                        intersect: false
+                    },
+                    layout: {
+                        padding: { top: 10, right: 20, bottom: 10, left: 10 }
+                    },
+                    plugins: {
+                        legend: {
+                            display: true,
+                            position: 'bottom',
+                            labels: {
+                                boxWidth: 14,
+                                // One legend entry per team; the dotted Pythagorean lines follow their team
+                                filter: item => !datasets[item.datasetIndex].pythagorean
+                            },
+                            onClick: function(e, legendItem, legend) {
+                                const chart = legend.chart;
+                                const teamId = datasets[legendItem.datasetIndex].teamId;
+                                const visible = chart.isDatasetVisible(legendItem.datasetIndex);
+                                datasets.forEach((dataset, i) => {
+                                    if (dataset.teamId === teamId) chart.setDatasetVisibility(i, !visible);
+                                });
+                                chart.update();
+                            }
+                        },
+                        tooltip: {
+                            callbacks: {
+                                title: function(context) {
+                                    return trendData.dates[context[0].dataIndex];
+                                },
+                                label: function(context) {
+                                    const team = teams.find(t => t.id === context.dataset.teamId);
+                                    const i = context.dataIndex;
+                                    return context.dataset.label + ': ' + formatValue(context.raw) +
+                                        ' (' + team.w[i] + '-' + team.l[i] + ')';
+                                }
+                            }
+                        }
+                    },
+                    scales: {
+                        x: {
+                            title: { display: true, text: 'Date', font: { size: 14, weight: 'bold' } },
+                            ticks: { maxTicksLimit: 12 },
+                            grid: { color: '#e0e0e0' }
+                        },
+                        y: {
+                            title: { display: true, text: trendMetricNames[trendMetric], font: { size: 14, weight: 'bold' } },
+                            reverse: trendMetric === 'gamesBack',
+                            ticks: trendMetric === 'winPct' ? { callback: v => formatRate(v) } : {},
+                            grid: { color: '#e0e0e0' }
+                        }
+                    }
+                }
+            });
+        }
+        
         function downloadChart(chartNum) {
             let chart, title, subtitle, canvasId;
             if (chartNum === 1) {
@@ -1696,6 +2083,11 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                 canvasId = 'chart3';
                 title = 'Pitching & Defense: ${season}';
                 subtitle = 'FIP vs DER';
+            } else if (chartNum === 4) {
+                chart = chart4;
+                canvasId = 'chart4';
+                title = 'Season Trends: ${season}';
+                subtitle = trendMetricNames[trendMetric];
             }
             
             if (chart) {
@@ -1748,12 +2140,15 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
         }
         
         function formatStat(val, stat) {
-            const rateStats = ['avg', 'obp', 'slg', 'ops'];
-            const twoDecimalStats = ['era', 'whip', 'fip'];
+            const rateStats = ['avg', 'obp', 'slg', 'ops', 'woba', 'iso', 'babip'];
+            const percentStats = ['kPct', 'bbPct', 'kbbPct', 'lobPct', 'sbPct', 'xbhPct'];
+            const twoDecimalStats = ['era', 'whip', 'fip', 'hr9', 'xfip', 'siera', 'gbFb'];
             const oneDecimalStats = ['ip'];
             
             if (rateStats.includes(stat)) {
                 return formatRate(val);
+            } else if (percentStats.includes(stat)) {
+                return (val * 100).toFixed(1) + '%';
             } else if (twoDecimalStats.includes(stat)) {
                 return val.toFixed(2);
             } else if (oneDecimalStats.includes(stat)) {
@@ -1767,7 +2162,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                 batterSortAsc = !batterSortAsc;
             } else {
                 batterSortStat = stat;
-                batterSortAsc = false; // Default descending for all batter stats
+                batterSortAsc = stat === 'kPct'; // Default descending for all batter stats but K%
             }
             updateBatterLeaderboard();
         }
@@ -1778,7 +2173,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             } else {
                 pitcherSortStat = stat;
                 // Default ascending for ERA, WHIP, FIP; descending for others
-                pitcherSortAsc = ['era', 'whip', 'fip', 'hr', 'bb', 'l'].includes(stat);
+                pitcherSortAsc = ['era', 'whip', 'fip', 'hr', 'bb', 'l', 'bbPct', 'hr9', 'babip', 'xfip', 'siera'].includes(stat);
             }
             updatePitcherLeaderboard();
         }
@@ -1816,6 +2211,55 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             updatePitcherLeaderboard();
         }
         
+        function setBatterWindow(statWindow) {
+            batterWindow = statWindow;
+            document.querySelectorAll('.filter-link.batter-window').forEach(el => {
+                el.classList.toggle('active', el.dataset.value === statWindow);
+            });
+            updateBatterLeaderboard();
+        }
+        
+        function setPlayerLeague(league) {
+            playerLeague = league;
+            document.querySelectorAll('.filter-link.player-league').forEach(el => {
+                el.classList.toggle('active', el.dataset.value === league);
+            });
+            updatePlayerLeaderboard();
+        }
+        
+        function setPlayerCount(count) {
+            playerCount = count;
+            document.querySelectorAll('.filter-link.player-count').forEach(el => {
+                el.classList.toggle('active', parseInt(el.dataset.value) === count);
+            });
+            updatePlayerLeaderboard();
+        }
+        
+        function setPlayerWindow(statWindow) {
+            playerWindow = statWindow;
+            document.querySelectorAll('.filter-link.player-window').forEach(el => {
+                el.classList.toggle('active', el.dataset.value === statWindow);
+            });
+            updatePlayerLeaderboard();
+        }
+        
+        function setPitcherWindow(statWindow) {
+            pitcherWindow = statWindow;
+            document.querySelectorAll('.filter-link.pitcher-window').forEach(el => {
+                el.classList.toggle('active', el.dataset.value === statWindow);
+            });
+            updatePitcherLeaderboard();
+        }
+        
+        // Players' lines for a stat window: season totals, or the last-N-days lines of
+        // players who played in that window
+        function windowLines(players, statWindow) {
+            if (statWindow === 'season') return players.slice();
+            return players
+                .filter(p => p.windows && p.windows[statWindow])
+                .map(p => ({ ...p, ...p.windows[statWindow] }));
+        }
+        
         // Deduplicate players who played for multiple teams
         function deduplicatePlayers(players) {
             const playerMap = new Map();
@@ -1838,6 +2282,22 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             }));
         }
         
+        ${HEAT_MAP_SCRIPT}
+        // Heat map: shade each sortable stat cell by the player's league percentile, as
+        // precomputed in player-stats.json for the season and each window. The field is the
+        // column header's id without its th- / th-p- prefix.
+        function shadeLeaderboard(tbody, leaders) {
+            const headers = Array.from(tbody.closest('table').querySelectorAll('thead th'));
+            Array.from(tbody.rows).forEach((row, i) => {
+                const percentiles = leaders[i].percentiles || {};
+                headers.forEach((th, j) => {
+                    if (th.id && row.cells[j]) {
+                        row.cells[j].style.backgroundColor = heatColor(percentiles[th.id.replace(/^th-(p-)?/, '')]);
+                    }
+                });
+            });
+        }
+        
         function updateBatterLeaderboard() {
             const stat = batterSortStat;
             const ascending = batterSortAsc;
@@ -1847,7 +2307,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             const maxAge = document.getElementById('batterMaxAge').value ? parseInt(document.getElementById('batterMaxAge').value) : null;
             
             // Filter by league
-            let filtered = batterData.filter(p => league === 'MLB' || p.league === league);
+            let filtered = windowLines(batterData, batterWindow).filter(p => league === 'MLB' || p.league === league);
             
             // Deduplicate multi-team players
             filtered = deduplicatePlayers(filtered);
@@ -1874,7 +2334,8 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             const leaders = filtered.slice(0, count);
             
             // Update header styling
-            const sortableStats = ['rc', 'r', 'rbi', 'avg', 'obp', 'slg', 'ops', 'h', 'doubles', 'triples', 'hr', 'tb', 'sb'];
+            const sortableStats = ['rc', 'r', 'rbi', 'avg', 'obp', 'slg', 'ops', 'woba', 'wrcPlus', 'opsPlus', 'h', 'doubles', 'triples', 'hr', 'tb', 'sb',
+                'bbPct', 'kPct', 'iso', 'babip', 'sbPct', 'xbhPct', 'gbFb'];
             sortableStats.forEach(s => {
                 const th = document.getElementById('th-' + s);
                 if (th) {
@@ -1891,7 +2352,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             tbody.innerHTML = leaders.map(p => {
                 const handedness = getBatterHandedness(p.batSide);
                 let row = '<tr>';
-                row += '<td><a href="https://baseballsavant.mlb.com/savant-player/' + p.playerId + '" target="_blank">' + p.name + handedness + '</a></td>';
+                row += '<td><a href="players/' + p.playerId + '.html">' + p.name + handedness + '</a></td>';
                 row += '<td>' + p.teamAbbr + '</td>';
                 row += '<td class="text-right">' + (p.age || '') + '</td>';
                 row += '<td class="text-right">' + p.g + '</td>';
@@ -1903,15 +2364,24 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                 row += '<td class="text-right' + (stat === 'obp' ? ' sorted-col' : '') + '">' + formatRate(p.obp) + '</td>';
                 row += '<td class="text-right' + (stat === 'slg' ? ' sorted-col' : '') + '">' + formatRate(p.slg) + '</td>';
                 row += '<td class="text-right' + (stat === 'ops' ? ' sorted-col' : '') + '">' + formatRate(p.ops) + '</td>';
+                row += '<td class="text-right' + (stat === 'woba' ? ' sorted-col' : '') + '">' + (p.woba !== undefined ? formatRate(p.woba) : '') + '</td>';
+                row += '<td class="text-right' + (stat === 'wrcPlus' ? ' sorted-col' : '') + '">' + (p.wrcPlus !== undefined ? p.wrcPlus : '') + '</td>';
+                row += '<td class="text-right' + (stat === 'opsPlus' ? ' sorted-col' : '') + '">' + (p.opsPlus !== undefined ? p.opsPlus : '') + '</td>';
                 row += '<td class="text-right' + (stat === 'h' ? ' sorted-col' : '') + '">' + p.h + '</td>';
                 row += '<td class="text-right' + (stat === 'doubles' ? ' sorted-col' : '') + '">' + p.doubles + '</td>';
                 row += '<td class="text-right' + (stat === 'triples' ? ' sorted-col' : '') + '">' + p.triples + '</td>';
                 row += '<td class="text-right' + (stat === 'hr' ? ' sorted-col' : '') + '">' + p.hr + '</td>';
                 row += '<td class="text-right' + (stat === 'tb' ? ' sorted-col' : '') + '">' + p.tb + '</td>';
                 row += '<td class="text-right' + (stat === 'sb' ? ' sorted-col' : '') + '">' + p.sb + '</td>';
+                ['bbPct', 'kPct', 'iso', 'babip', 'sbPct', 'xbhPct', 'gbFb'].forEach(s => {
+                    row += '<td class="text-right' + (stat === s ? ' sorted-col' : '') + '">' + formatStat(p[s] || 0, s) + '</td>';
+                });
                 row += '</tr>';
                 return row;
             }).join('');
+            if (document.getElementById('batterHeatMap').checked) {
+                shadeLeaderboard(tbody, leaders);
+            }
         }
         
         function updatePitcherLeaderboard() {
@@ -1923,7 +2393,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             const maxAge = document.getElementById('pitcherMaxAge').value ? parseInt(document.getElementById('pitcherMaxAge').value) : null;
             
             // Filter by league
-            let filtered = pitcherData.filter(p => league === 'MLB' || p.league === league);
+            let filtered = windowLines(pitcherData, pitcherWindow).filter(p => league === 'MLB' || p.league === league);
             
             // Deduplicate multi-team players
             filtered = deduplicatePlayers(filtered);
@@ -1936,7 +2406,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             // Filter by qualifier (1 IP per team game, scaled to average games played)
             if (qualifiedOnly) {
                 // Use batter data to estimate season progress (more reliable sample)
-                const sortedByGames = [...batterData].sort((a, b) => b.g - a.g);
+                const sortedByGames = windowLines(batterData, pitcherWindow).sort((a, b) => b.g - a.g);
                 const topPlayers = sortedByGames.slice(0, 30);
                 const avgGames = topPlayers.reduce((sum, p) => sum + p.g, 0) / topPlayers.length;
                 const qualifyingIP = Math.round(avgGames * 1.0);
@@ -1950,7 +2420,8 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             const leaders = filtered.slice(0, count);
             
             // Update header styling
-            const sortableStats = ['fipar', 'ip', 'era', 'fip', 'whip', 'gs', 'w', 'l', 'sv', 'hr', 'bb', 'k'];
+            const sortableStats = ['fipar', 'ip', 'era', 'fip', 'whip', 'gs', 'w', 'l', 'sv', 'hr', 'bb', 'so',
+                'bf', 'kPct', 'bbPct', 'kbbPct', 'hr9', 'babip', 'lobPct', 'xfip', 'siera'];
             sortableStats.forEach(s => {
                 const th = document.getElementById('th-p-' + s);
                 if (th) {
@@ -1967,7 +2438,7 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
             tbody.innerHTML = leaders.map(p => {
                 const handedness = getPitcherHandedness(p.pitchHand);
                 let row = '<tr>';
-                row += '<td><a href="https://baseballsavant.mlb.com/savant-player/' + p.playerId + '" target="_blank">' + p.name + handedness + '</a></td>';
+                row += '<td><a href="players/' + p.playerId + '.html">' + p.name + handedness + '</a></td>';
                 row += '<td>' + p.teamAbbr + '</td>';
                 row += '<td class="text-right">' + (p.age || '') + '</td>';
                 row += '<td class="text-right">' + p.g + '</td>';
@@ -1982,7 +2453,53 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
                 row += '<td class="text-right' + (stat === 'sv' ? ' sorted-col' : '') + '">' + p.sv + '</td>';
                 row += '<td class="text-right' + (stat === 'hr' ? ' sorted-col' : '') + '">' + (p.hr || 0) + '</td>';
                 row += '<td class="text-right' + (stat === 'bb' ? ' sorted-col' : '') + '">' + p.bb + '</td>';
-                row += '<td class="text-right' + (stat === 'k' ? ' sorted-col' : '') + '">' + p.k + '</td>';
+                row += '<td class="text-right' + (stat === 'so' ? ' sorted-col' : '') + '">' + p.so + '</td>';
+                ['bf', 'kPct', 'bbPct', 'kbbPct', 'hr9', 'babip', 'lobPct', 'xfip', 'siera'].forEach(s => {
+                    row += '<td class="text-right' + (stat === s ? ' sorted-col' : '') + '">' + formatStat(p[s] || 0, s) + '</td>';
+                });
+                row += '</tr>';
+                return row;
+            }).join('');
+            if (document.getElementById('pitcherHeatMap').checked) {
+                shadeLeaderboard(tbody, leaders);
+            }
+        }
+        
+        // Hitters and pitchers on one WAR scale; two-way players get their batting and pitching WAR added up
+        function updatePlayerLeaderboard() {
+            const inLeague = p => playerLeague === 'MLB' || p.league === playerLeague;
+            const players = new Map();
+            
+            deduplicatePlayers(windowLines(batterData, playerWindow).filter(inLeague)).forEach(b => {
+                players.set(b.playerId, { ...b, ip: 0, batWar: b.war || 0, pitWar: 0 });
+            });
+            deduplicatePlayers(windowLines(pitcherData, playerWindow).filter(inLeague)).forEach(p => {
+                const existing = players.get(p.playerId);
+                if (existing) {
+                    existing.ip = p.ip;
+                    existing.pitWar = p.war || 0;
+                } else {
+                    players.set(p.playerId, { ...p, position: 'P', pa: 0, batWar: 0, pitWar: p.war || 0 });
+                }
+            });
+            
+            const leaders = Array.from(players.values())
+                .map(p => ({ ...p, war: p.batWar + p.pitWar }))
+                .sort((a, b) => b.war - a.war)
+                .slice(0, playerCount);
+            
+            const tbody = document.getElementById('playerLeaderboardBody');
+            tbody.innerHTML = leaders.map(p => {
+                let row = '<tr>';
+                row += '<td><a href="players/' + p.playerId + '.html">' + p.name + '</a></td>';
+                row += '<td>' + p.teamAbbr + '</td>';
+                row += '<td class="text-right">' + (p.age || '') + '</td>';
+                row += '<td>' + (p.position || '') + '</td>';
+                row += '<td class="text-right">' + (p.pa || '') + '</td>';
+                row += '<td class="text-right">' + (p.ip ? p.ip.toFixed(1) : '') + '</td>';
+                row += '<td class="text-right">' + (p.pa ? p.batWar.toFixed(1) : '') + '</td>';
+                row += '<td class="text-right">' + (p.ip ? p.pitWar.toFixed(1) : '') + '</td>';
+                row += '<td class="text-right sorted-col">' + p.war.toFixed(1) + '</td>';
                 row += '</tr>';
                 return row;
             }).join('');
@@ -1991,10 +2508,22 @@ function generateHTMLContent(season, dateStr, teamData, playerStats) {
         // Initialize on page load
         updateAllCharts();
         updateBatterLeaderboard();
+        updatePlayerLeaderboard();
         updatePitcherLeaderboard();
+        ${PLAYER_SEARCH_SCRIPT}
+        // The leaderboard data is already on the page; the card links to the player's team table
+        initPlayerSearch(() => Promise.resolve({ batters: batterData, pitchers: pitcherData }), { tableLink: 'player_stats.html' });
     </script>
 </body>
 </html>`;
 }
 
-generateHTML().catch(console.error);
+module.exports = { generateHTML };
+
+if (require.main === module) {
+    // Fail the process (and the scheduled workflow) on any error, so nothing half-built gets committed
+    generateHTML().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
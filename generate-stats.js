@@ -1,291 +1,571 @@
-const fetch = require('node-fetch');
-const fs = require('fs');
+const {
+    calculatePA,
+    calculateAVG,
+    calculateOBP,
+    calculateSLG,
+    calculateRC,
+    calculateWOBAWeights,
+    calculateRunsPerWin,
+    calculateERA,
+    calculateWHIP,
+    calculateFIP,
+    calculateFIPAR,
+    calculateFIPConstant,
+    calculateReplacementFIP,
+    calculateLeagueHRPerFB,
+    sumStats,
+    averageStats,
+    formatRate,
+    REPLACEMENT_FIP,
+    REPLACEMENT_POOL_SKIP,
+    REPLACEMENT_POOL_MIN_IP
+} = require('./stats-math');
+const { createApiClient } = require('./mlb-api');
+const { cacheFromEnv } = require('./response-cache');
+const { parseTeamFilter } = require('./output');
+const { listArchivedSeasons, writeSeasonFile, renderSeasonSwitcher, writeSeasonIndex } = require('./season-archive');
+const { recordPlayerSnapshot, snapshotDate } = require('./history');
+const { getParkFactor, getCombinedParkFactor } = require('./park-factors');
+const { COLUMNS, DEFAULT_SORT, COLUMN_PRESETS, tableColumns, formatColumn, columnSortValue, columnsJson, jsonField } = require('./columns');
+const { PLAYER_SEARCH_STYLES, renderPlayerSearch, PLAYER_SEARCH_SCRIPT } = require('./player-search');
+const { playerPagePath, writePlayerPages } = require('./player-pages');
+const { addPercentiles, HEAT_MAP_SCRIPT } = require('./percentiles');
+const { SCHEMA_VERSION, playerStatsSchema, assertValid } = require('./data-schema');
+const { teamSlug, teamPagePath } = require('./team-pages');
 
-const API_BASE = 'https://statsapi.mlb.com/api/v1';
+// Maximum number of person IDs per /people request
+const PEOPLE_BATCH_SIZE = 100;
 
-// Map MLB team names to Fangraphs URL slugs
-function getTeamFangraphsSlug(teamName) {
-    const slugMap = {
-        'Arizona Diamondbacks': 'diamondbacks',
-        'Atlanta Braves': 'braves',
-        'Baltimore Orioles': 'orioles',
-        'Boston Red Sox': 'red-sox',
-        'Chicago Cubs': 'cubs',
-        'Chicago White Sox': 'white-sox',
-        'Cincinnati Reds': 'reds',
-        'Cleveland Guardians': 'guardians',
-        'Colorado Rockies': 'rockies',
-        'Detroit Tigers': 'tigers',
-        'Houston Astros': 'astros',
-        'Kansas City Royals': 'royals',
-        'Los Angeles Angels': 'angels',
-        'Los Angeles Dodgers': 'dodgers',
-        'Miami Marlins': 'marlins',
-        'Milwaukee Brewers': 'brewers',
-        'Minnesota Twins': 'twins',
-        'New York Mets': 'mets',
-        'New York Yankees': 'yankees',
-        'Oakland Athletics': 'athletics',
-        'Philadelphia Phillies': 'phillies',
-        'Pittsburgh Pirates': 'pirates',
-        'San Diego Padres': 'padres',
-        'San Francisco Giants': 'giants',
-        'Seattle Mariners': 'mariners',
-        'St. Louis Cardinals': 'cardinals',
-        'Tampa Bay Rays': 'rays',
-        'Texas Rangers': 'rangers',
-        'Toronto Blue Jays': 'blue-jays',
-        'Washington Nationals': 'nationals'
-    };
-    
-    return slugMap[teamName] || teamName.toLowerCase().replace(/\s+/g, '-');
+// Rolling windows shown next to season totals: key -> length in days (ending on the run date,
+// or on the season's last scheduled game once the regular season is over)
+const STAT_WINDOWS = {
+    last7: 7,
+    last14: 14,
+    last30: 30
+};
+
+// Situational splits shown in each player's detail row: sitCode -> [batter label, pitcher label]
+const SPLIT_CODES = {
+    vl: ['vs LHP', 'vs LHB'],
+    vr: ['vs RHP', 'vs RHB'],
+    h: ['Home', 'Home'],
+    a: ['Away', 'Away']
+};
+
+async function fetchTeams(api, season) {
+    const data = await api.get(`/teams?sportId=1&season=${season}`);
+    return data.teams;
 }
 
-// Calculate Runs Created (OBP x TB)
-function calculateRC(stats) {
-    const h = stats.hits || 0;
-    const bb = stats.baseOnBalls || 0;
-    const hbp = stats.hitByPitch || 0;
-    const ab = stats.atBats || 0;
-    const sf = stats.sacFlies || 0;
-    
-    // Calculate OBP
-    const denominator = ab + bb + hbp + sf;
-    if (denominator === 0) return 0;
-    const obp = (h + bb + hbp) / denominator;
-    
-    // Calculate TB
-    const singles = h - (stats.doubles || 0) - (stats.triples || 0) - (stats.homeRuns || 0);
-    const tb = singles + 2 * (stats.doubles || 0) + 3 * (stats.triples || 0) + 4 * (stats.homeRuns || 0);
-    
-    return obp * tb;
+// Fetch every team's season line for a group ('hitting' or 'pitching') in one request
+async function fetchLeagueTeamStats(api, season, group) {
+    const data = await api.get(`/teams/stats?stats=season&group=${group}&season=${season}&sportIds=1`);
+    const statGroup = (data.stats || [])[0];
+    return statGroup ? statGroup.splits.map(split => split.stat) : [];
 }
 
-// Calculate FIP
-function calculateFIP(stats) {
-    const ip = parseFloat(stats.inningsPitched) || 0;
-    if (ip === 0) return 0;
-    
-    const hr = stats.homeRuns || 0;
-    const bb = stats.baseOnBalls || 0;
-    const hbp = stats.hitByPitch || 0;
-    const k = stats.strikeOuts || 0;
-    
-    return ((13 * hr + 3 * (bb + hbp) - 2 * k) / ip) + 3.10;
+// Date of the season's last scheduled regular-season game (YYYY-MM-DD), or null without a schedule.
+// Same request as generate-graphs.js's fetchSchedule, so the two share a cached response.
+async function fetchLastGameDate(api, season) {
+    const data = await api.get(`/schedule?sportId=1&season=${season}&gameType=R`);
+    const dates = (data.dates || []).map(day => day.date).sort();
+    return dates.length > 0 ? dates[dates.length - 1] : null;
 }
 
-// Calculate batting average without leading zero
-function calcAVG(hits, ab) {
-    if (ab === 0) return '.000';
-    const avg = (hits / ab).toFixed(3);
-    return avg.startsWith('0') ? avg.substring(1) : avg;
+async function fetchTeamRoster(api, teamId, season) {
+    const data = await api.get(`/teams/${teamId}/roster?season=${season}`);
+    return data.roster || [];
 }
 
-// Calculate OBP
-function calcOBP(stats) {
-    const h = stats.hits || 0;
-    const bb = stats.baseOnBalls || 0;
-    const hbp = stats.hitByPitch || 0;
-    const ab = stats.atBats || 0;
-    const sf = stats.sacFlies || 0;
+// Fetch people with the given hydrate, PEOPLE_BATCH_SIZE players per request
+async function fetchPeopleBatches(api, playerIds, hydrate) {
+    const batches = [];
+    for (let i = 0; i < playerIds.length; i += PEOPLE_BATCH_SIZE) {
+        batches.push(playerIds.slice(i, i + PEOPLE_BATCH_SIZE));
+    }
     
-    const denominator = ab + bb + hbp + sf;
-    if (denominator === 0) return '.000';
-    const obp = ((h + bb + hbp) / denominator).toFixed(3);
-    return obp.startsWith('0') ? obp.substring(1) : obp;
+    return Promise.all(batches.map(ids =>
+        api.get(`/people?personIds=${ids.join(',')}&hydrate=${hydrate}`)));
 }
 
-// Calculate SLG
-function calcSLG(stats) {
-    const ab = stats.atBats || 0;
-    if (ab === 0) return '.000';
+// Fetch person details with season hitting and pitching stats hydrated.
+// Returns playerId -> { details, stats }.
+async function fetchPeopleWithStats(api, playerIds, season) {
+    const hydrate = `stats(group=[hitting,pitching],type=[season],season=${season})`;
+    const responses = await fetchPeopleBatches(api, playerIds, hydrate);
     
-    const singles = (stats.hits || 0) - (stats.doubles || 0) - (stats.triples || 0) - (stats.homeRuns || 0);
-    const tb = singles + 2 * (stats.doubles || 0) + 3 * (stats.triples || 0) + 4 * (stats.homeRuns || 0);
+    const people = {};
+    for (const data of responses) {
+        for (const person of data.people || []) {
+            const { stats, ...details } = person;
+            people[person.id] = { details, stats: stats || [] };
+        }
+    }
+    return people;
+}
+
+// Fetch hitting and pitching totals between two dates (YYYY-MM-DD, inclusive).
+// Returns playerId -> { hitting, pitching, stats }, stats being the hydrated groups for the
+// per-team lines; players without a game in the range are left out.
+async function fetchPeopleDateRangeStats(api, playerIds, season, startDate, endDate) {
+    const hydrate = `stats(group=[hitting,pitching],type=[byDateRange],startDate=${startDate},endDate=${endDate},season=${season})`;
+    const responses = await fetchPeopleBatches(api, playerIds, hydrate);
     
-    const slg = (tb / ab).toFixed(3);
-    return slg.startsWith('0') ? slg.substring(1) : slg;
+    const lines = {};
+    for (const data of responses) {
+        for (const person of data.people || []) {
+            const hitting = getGroupStat(person.stats || [], 'hitting');
+            const pitching = getGroupStat(person.stats || [], 'pitching');
+            if (hitting || pitching) {
+                lines[person.id] = { hitting, pitching, stats: person.stats };
+            }
+        }
+    }
+    return lines;
 }
 
-// Calculate ERA
-function calcERA(er, ip) {
-    const innings = parseFloat(ip) || 0;
-    return innings > 0 ? ((er * 9) / innings).toFixed(2) : '0.00';
+// Fetch the SPLIT_CODES splits for a season.
+// Returns playerId -> { hitting: { vl: stat, ... }, pitching: { ... } }.
+async function fetchPeopleSplitStats(api, playerIds, season) {
+    const sitCodes = Object.keys(SPLIT_CODES).join(',');
+    const hydrate = `stats(group=[hitting,pitching],type=[statSplits],sitCodes=[${sitCodes}],season=${season})`;
+    const responses = await fetchPeopleBatches(api, playerIds, hydrate);
+    
+    const splits = {};
+    for (const data of responses) {
+        for (const person of data.people || []) {
+            const lines = { hitting: {}, pitching: {} };
+            for (const statGroup of person.stats || []) {
+                const group = statGroup.group && statGroup.group.displayName;
+                if (!lines[group]) continue;
+                for (const split of statGroup.splits || []) {
+                    if (split.split && SPLIT_CODES[split.split.code]) {
+                        lines[group][split.split.code] = split.stat;
+                    }
+                }
+            }
+            splits[person.id] = lines;
+        }
+    }
+    return splits;
 }
 
-// Calculate WHIP
-function calcWHIP(stats) {
-    const ip = parseFloat(stats.inningsPitched) || 0;
-    if (ip === 0) return '0.00';
-    return (((stats.baseOnBalls || 0) + (stats.hits || 0)) / ip).toFixed(2);
+// Fetch every player's MLB career: one split per season (and per team in a season he
+// was traded) plus career totals, with his bio. For the player pages.
+// Returns playerId -> { details, hitting: { seasons, career }, pitching: { seasons, career } }.
+async function fetchPeopleCareerStats(api, playerIds) {
+    const hydrate = 'stats(group=[hitting,pitching],type=[yearByYear,career])';
+    const responses = await fetchPeopleBatches(api, playerIds, hydrate);
+    
+    const careers = {};
+    for (const data of responses) {
+        for (const person of data.people || []) {
+            const { stats, ...details } = person;
+            const career = { details, hitting: { seasons: [], career: null }, pitching: { seasons: [], career: null } };
+            for (const statGroup of stats || []) {
+                const group = career[statGroup.group && statGroup.group.displayName];
+                if (!group) continue;
+                const splits = (statGroup.splits || []).filter(split => !split.sport || split.sport.id === 1);
+                if (statGroup.type.displayName === 'yearByYear') {
+                    group.seasons = splits;
+                } else if (statGroup.type.displayName === 'career' && splits.length > 0) {
+                    group.career = splits[0].stat;
+                }
+            }
+            careers[person.id] = career;
+        }
+    }
+    return careers;
 }
 
-async function fetchTeams(season) {
-    const response = await fetch(`${API_BASE}/teams?sportId=1&season=${season}`);
-    const data = await response.json();
-    return data.teams;
+// The stat line for one group ('hitting' or 'pitching') from a hydrated stats array, or null.
+// A traded player comes back with a split per team (each carrying `team`) and his combined
+// line, the one split without a team; that's the line returned.
+function getGroupStat(statGroups, group) {
+    const statGroup = statGroups.find(g => g.group && g.group.displayName === group);
+    if (!statGroup || !statGroup.splits || statGroup.splits.length === 0) return null;
+    const combined = statGroup.splits.length > 1 ? statGroup.splits.find(split => !split.team) : null;
+    return (combined || statGroup.splits[0]).stat;
 }
 
-async function fetchTeamRoster(teamId, season) {
-    const response = await fetch(`${API_BASE}/teams/${teamId}/roster?season=${season}`);
-    const data = await response.json();
-    return data.roster || [];
+// A player's line for one team from a hydrated stats array, for the team totals: his whole
+// line if he's only been on that team, else that team's split. A traded player without a
+// split for the team didn't play for it (an empty line); null when the response has no
+// per-team splits at all, so his share can't be told apart.
+function getTeamGroupStat(statGroups, group, teamId, multiTeam) {
+    const line = getGroupStat(statGroups, group);
+    if (!line || !multiTeam) return line;
+    const splits = statGroups.find(g => g.group && g.group.displayName === group).splits;
+    const teamSplit = splits.find(split => split.team && split.team.id === teamId);
+    if (teamSplit) return teamSplit.stat;
+    return splits.some(split => split.team) ? {} : null;
 }
 
-async function fetchPlayerStats(playerId, season) {
-    const response = await fetch(`${API_BASE}/people/${playerId}/stats?stats=season&season=${season}&group=hitting,pitching`);
-    const data = await response.json();
-    return data.stats || [];
+// Date ranges for STAT_WINDOWS, each ending on endDate (YYYY-MM-DD)
+function statWindowRanges(endDate) {
+    const ranges = {};
+    const end = Date.parse(`${endDate}T00:00:00Z`);
+    for (const [key, days] of Object.entries(STAT_WINDOWS)) {
+        const start = new Date(end - (days - 1) * 86400000).toISOString().substring(0, 10);
+        ranges[key] = { start: start, end: endDate };
+    }
+    return ranges;
 }
 
-async function fetchPlayerDetails(playerId) {
-    const response = await fetch(`${API_BASE}/people/${playerId}`);
-    const data = await response.json();
-    return data.people && data.people[0] ? data.people[0] : null;
+// "2025-07-09" -> "7/9"
+function formatShortDate(date) {
+    const [, month, day] = date.split('-');
+    return `${parseInt(month)}/${parseInt(day)}`;
 }
 
-function createBatterRow(player, stats, playerTeamCount) {
-    const rc = Math.round(calculateRC(stats));
-    const avg = calcAVG(stats.hits, stats.atBats);
-    const obp = calcOBP(stats);
-    const slg = calcSLG(stats);
-    const position = player.position ? player.position.abbreviation : '';
-    const playerLink = `https://baseballsavant.mlb.com/savant-player/${player.person.id}`;
-    
-    // Get age (current age from player data)
-    const age = player.person.currentAge || '';
-    
-    // Calculate PA (Plate Appearances)
-    const pa = (stats.atBats || 0) + (stats.baseOnBalls || 0) + (stats.hitByPitch || 0) + (stats.sacFlies || 0);
-    
-    // Calculate TB (Total Bases)
-    const singles = (stats.hits || 0) - (stats.doubles || 0) - (stats.triples || 0) - (stats.homeRuns || 0);
-    const tb = singles + 2 * (stats.doubles || 0) + 3 * (stats.triples || 0) + 4 * (stats.homeRuns || 0);
+// Expandable detail row under a player's season row with one line per split.
+// splits: { vl: stat, ... } for the player's group; '' when there are none.
+function createSplitRow(splits, type, colspan, constants) {
+    const codes = Object.keys(SPLIT_CODES).filter(code => splits && splits[code]);
+    if (codes.length === 0) return '';
     
-    // Determine handedness symbol for batters
-    let handednessSymbol = '';
-    if (player.person.batSide) {
-        const batCode = player.person.batSide.code;
-        if (batCode === 'L') {
-            handednessSymbol = '*';
-        } else if (batCode === 'S') {
-            handednessSymbol = "&dagger;";
-        }
-        // R (right-handed) gets no symbol
+    const label = code => SPLIT_CODES[code][type === 'batter' ? 0 : 1];
+    let header;
+    let lines;
+    if (type === 'batter') {
+        header = '<th>Split</th><th class="stat-num">PA</th><th class="stat-num">RC</th><th class="stat-num">BA</th><th class="stat-num">OBP</th><th class="stat-num">SLG</th><th class="stat-num">HR</th><th class="stat-num">BB</th><th class="stat-num">SO</th>';
+        lines = codes.map(code => {
+            const stats = splits[code];
+            return `<tr>
+                            <td>${label(code)}</td>
+                            <td class="stat-num">${calculatePA(stats)}</td>
+                            <td class="stat-num">${Math.round(calculateRC(stats))}</td>
+                            <td class="stat-num">${formatRate(calculateAVG(stats))}</td>
+                            <td class="stat-num">${formatRate(calculateOBP(stats))}</td>
+                            <td class="stat-num">${formatRate(calculateSLG(stats))}</td>
+                            <td class="stat-num">${stats.homeRuns || 0}</td>
+                            <td class="stat-num">${stats.baseOnBalls || 0}</td>
+                            <td class="stat-num">${stats.strikeOuts || 0}</td>
+                        </tr>`;
+        });
+    } else {
+        // OBP and SLG for pitchers are opponents' rates, from the same formulas
+        header = '<th>Split</th><th class="stat-num">IP</th><th class="stat-num">FIP</th><th class="stat-num">WHIP</th><th class="stat-num">ERA</th><th class="stat-num">OBP</th><th class="stat-num">SLG</th><th class="stat-num">HR</th><th class="stat-num">BB</th><th class="stat-num">SO</th>';
+        lines = codes.map(code => {
+            const stats = splits[code];
+            const ip = stats.inningsPitched ? parseFloat(stats.inningsPitched) : 0;
+            return `<tr>
+                            <td>${label(code)}</td>
+                            <td class="stat-num">${ip.toFixed(1)}</td>
+                            <td class="stat-num">${calculateFIP(stats, constants.fipConstant).toFixed(2)}</td>
+                            <td class="stat-num">${calculateWHIP(stats).toFixed(2)}</td>
+                            <td class="stat-num">${calculateERA(stats).toFixed(2)}</td>
+                            <td class="stat-num">${formatRate(calculateOBP(stats))}</td>
+                            <td class="stat-num">${formatRate(calculateSLG(stats))}</td>
+                            <td class="stat-num">${stats.homeRuns || 0}</td>
+                            <td class="stat-num">${stats.baseOnBalls || 0}</td>
+                            <td class="stat-num">${stats.strikeOuts || 0}</td>
+                        </tr>`;
+        });
     }
     
-    // Check if multi-team player for italics
-    const isMultiTeam = playerTeamCount[player.person.id] > 1;
-    const nameStyle = isMultiTeam ? 'font-style: italic;' : '';
-    
     return `
-        <tr class="data-row" data-pa="${pa}">
-            <td style="${nameStyle}"><a href="${playerLink}" target="_blank">${player.person.fullName}${handednessSymbol}</a></td>
-            <td class="stat-num">${age}</td>
-            <td>${position}</td>
-            <td class="stat-num">${rc}</td>
-            <td class="stat-num">${stats.runs || 0}</td>
-            <td class="stat-num">${stats.rbi || 0}</td>
-            <td class="stat-num">${avg}</td>
-            <td class="stat-num">${obp}</td>
-            <td class="stat-num">${slg}</td>
-            <td class="stat-num">${stats.gamesPlayed || 0}</td>
-            <td class="stat-num">${pa}</td>
-            <td class="stat-num">${stats.hits || 0}</td>
-            <td class="stat-num">${stats.doubles || 0}</td>
-            <td class="stat-num">${stats.triples || 0}</td>
-            <td class="stat-num">${stats.homeRuns || 0}</td>
-            <td class="stat-num">${tb}</td>
-            <td class="stat-num">${stats.baseOnBalls || 0}</td>
-            <td class="stat-num">${stats.strikeOuts || 0}</td>
-            <td class="stat-num">${stats.stolenBases || 0}</td>
-            <td class="stat-num">${stats.caughtStealing || 0}</td>
+        <tr class="split-row">
+            <td colspan="${colspan}">
+                <table class="split-table">
+                    <thead><tr>${header}</tr></thead>
+                    <tbody>
+                        ${lines.join('\n                        ')}
+                    </tbody>
+                </table>
+            </td>
         </tr>
     `;
 }
 
-function createPitcherRow(player, stats, playerTeamCount) {
-    const era = calcERA(stats.earnedRuns, stats.inningsPitched);
-    const whip = calcWHIP(stats);
-    const fip = calculateFIP(stats);
-    const ip = stats.inningsPitched ? parseFloat(stats.inningsPitched) : 0;
-    const fipar = Math.round((6.00 - fip) * ip / 9);
-    const playerLink = `https://baseballsavant.mlb.com/savant-player/${player.person.id}`;
-    
-    // Get age (current age from player data)
-    const age = player.person.currentAge || '';
+// Toggle that opens a row's split detail row
+function splitToggle(splits) {
+    return splits && Object.keys(splits).length > 0
+        ? '<span class="split-toggle" role="button" title="Show splits" onclick="toggleSplits(this)">&#9656;</span>'
+        : '';
+}
+
+// Starter or reliever by share of games started, for the pitcher role filter
+function pitcherRole(stats) {
+    return stats.gamesStarted > 0 && stats.gamesStarted * 2 >= stats.gamesPlayed ? 'SP' : 'RP';
+}
+
+// Rookie for the filter: debuted in this season. The API has no rookie-eligibility flag, so
+// a player still under the 130 AB / 50 IP limits after an earlier call-up isn't counted.
+function isRookie(person, season) {
+    return Boolean(person.mlbDebutDate) && parseInt(person.mlbDebutDate.slice(0, 4)) === parseInt(season);
+}
+
+// Context the column registry's value functions read for a player
+function columnContext(player, constants) {
+    return {
+        constants: constants,
+        parkFactor: player.parkFactor,
+        position: player.position ? player.position.abbreviation : null,
+        person: player.person
+    };
+}
+
+// One player's row in a team table, one cell per registry column. Rolling-window rows
+// (statWindow other than 'season') start hidden; splits adds the detail row underneath.
+function createPlayerRow(type, player, stats, playerTeamCount, constants, statWindow = 'season', splits = null) {
+    const context = columnContext(player, constants);
+    const playerLink = playerPagePath(player.person.id);
     
-    // Determine handedness symbol for pitchers
+    // Lefties get an asterisk, switch-hitters a cross (pitchers don't have a switch option)
+    const hand = type === 'batter' ? player.person.batSide : player.person.pitchHand;
+    const handCode = hand ? hand.code : null;
     let handednessSymbol = '';
-    if (player.person.pitchHand) {
-        const pitchCode = player.person.pitchHand.code;
-        if (pitchCode === 'L') {
-            handednessSymbol = '*';
-        }
-        // R (right-handed) gets no symbol
-        // Pitchers don't have switch option
+    if (handCode === 'L') {
+        handednessSymbol = '*';
+    } else if (handCode === 'S' && type === 'batter') {
+        handednessSymbol = "&dagger;";
     }
     
     // Check if multi-team player for italics
     const isMultiTeam = playerTeamCount[player.person.id] > 1;
     const nameStyle = isMultiTeam ? 'font-style: italic;' : '';
     
+    // What the page's filters read: Min PA / Min IP (IP stays in baseball notation, 45.2),
+    // position or starter/reliever role, age, handedness, multi-team and rookie
+    const filterAttributes = type === 'batter'
+        ? [`data-pa="${calculatePA(stats)}"`, `data-pos="${context.position || ''}"`]
+        : [`data-ip="${stats.inningsPitched ? parseFloat(stats.inningsPitched) : 0}"`, `data-role="${pitcherRole(stats)}"`];
+    filterAttributes.push(`data-age="${player.person.currentAge || ''}"`, `data-hand="${handCode || ''}"`);
+    if (isMultiTeam) filterAttributes.push('data-multi="1"');
+    if (player.rookie) filterAttributes.push('data-rookie="1"');
+    
+    return `
+        <tr class="data-row${statWindow === 'season' ? '' : ' window-hidden'}" data-window="${statWindow}" data-player-id="${player.person.id}" ${filterAttributes.join(' ')}>
+            <td style="${nameStyle}" data-value="${player.person.fullName}">${splitToggle(splits)}<a href="${playerLink}">${player.person.fullName}${handednessSymbol}</a></td>
+            ${createStatCells(type, stats, context)}
+        </tr>
+    ` + createSplitRow(splits, type, tableColumns(type).length + 1, constants);
+}
+
+// One cell per registry column. Each cell carries its raw value for sorting and the league
+// colors, so the page never parses formatted text.
+function createStatCells(type, stats, context) {
+    return tableColumns(type).map(column =>
+        `<td${column.text ? '' : ' class="stat-num"'} data-value="${columnSortValue(column, stats, context)}">${formatColumn(column, stats, context)}</td>`)
+        .join('\n            ');
+}
+
+// A team totals or league-average row: a label in the name column, then the stat cells.
+// Like the player rows, rolling-window rows start hidden.
+function createSummaryRow(type, rowClass, label, stats, context, statWindow) {
     return `
-        <tr class="data-row" data-ip="${ip}">
-            <td style="${nameStyle}"><a href="${playerLink}" target="_blank">${player.person.fullName}${handednessSymbol}</a></td>
-            <td class="stat-num">${age}</td>
-            <td class="stat-num">${fipar}</td>
-            <td class="stat-num">${ip.toFixed(1)}</td>
-            <td class="stat-num">${era}</td>
-            <td class="stat-num">${fip.toFixed(2)}</td>
-            <td class="stat-num">${whip}</td>
-            <td class="stat-num">${stats.gamesPlayed || 0}</td>
-            <td class="stat-num">${stats.gamesStarted || 0}</td>
-            <td class="stat-num">${stats.wins || 0}</td>
-            <td class="stat-num">${stats.losses || 0}</td>
-            <td class="stat-num">${stats.saves || 0}</td>
-            <td class="stat-num">${stats.hits || 0}</td>
-            <td class="stat-num">${stats.runs || 0}</td>
-            <td class="stat-num">${stats.earnedRuns || 0}</td>
-            <td class="stat-num">${stats.homeRuns || 0}</td>
-            <td class="stat-num">${stats.baseOnBalls || 0}</td>
-            <td class="stat-num">${stats.strikeOuts || 0}</td>
+        <tr class="data-row ${rowClass}${statWindow === 'season' ? '' : ' window-hidden'}" data-window="${statWindow}">
+            <td>${label}</td>
+            ${createStatCells(type, stats, context)}
         </tr>
     `;
 }
 
-async function loadTeamStats(team, season) {
+// Footer rows for a team table, a totals row and a league-average row per stat window.
+// The totals add up the listed players' lines for this team (only what a traded player did
+// for it) and work every rate out from the sums, so team OBP or ERA is the real thing, not
+// an average of the players'. A traded player the Stats API didn't split by team is left
+// out and the row says it's partial. leagueLines[window] is the league's average team line:
+// its counting stats compare with the totals row, its rates with every row.
+function createTableFooter(type, team, entries, leagueLines, constants) {
+    if (entries.length === 0 || !leagueLines) return '';
+    const teamContext = { constants: constants, parkFactor: getParkFactor(team.abbreviation), position: null, person: {} };
+    const leagueContext = { constants: constants, parkFactor: 100, position: null, person: {} };
+    return Object.keys(leagueLines).map(statWindow => {
+        const played = statWindow === 'season'
+            ? entries.map(entry => entry.teamStats)
+            : entries.filter(entry => entry.windows && entry.windows[statWindow]).map(entry => entry.teamWindows[statWindow]);
+        const lines = played.filter(Boolean);
+        const label = `${team.abbreviation} Totals${lines.length < played.length ? ' (partial)' : ''}`;
+        return createSummaryRow(type, 'total-row', label, sumStats(lines), teamContext, statWindow) +
+            createSummaryRow(type, 'league-row', 'League Average', leagueLines[statWindow], leagueContext, statWindow);
+    }).join('');
+}
+
+// Hidden rows for each rolling window, best first (RC for batters, FIPAR for pitchers),
+// shown by the page's stat window switch in place of the season rows
+function createWindowRows(entries, type, playerTeamCount, constants) {
+    if (entries.length === 0 || !entries[0].windows) return '';
+    
+    const sortColumn = COLUMNS[type].find(column => column.key === DEFAULT_SORT[type]);
+    const value = (entry, key) => sortColumn.value(entry.windows[key], columnContext(entry.player, constants));
+    let rows = '';
+    for (const key of Object.keys(STAT_WINDOWS)) {
+        rows += entries
+            .filter(entry => entry.windows[key])
+            .sort((a, b) => value(b, key) - value(a, key))
+            .map(entry => createPlayerRow(type, entry.player, entry.windows[key], playerTeamCount, constants, key))
+            .join('');
+    }
+    return rows;
+}
+
+// Header cells for a team table, one per registry column
+function createHeaderCells(type) {
+    return tableColumns(type).map(column => {
+        const title = column.tooltip ? ` title="${column.tooltip}"` : '';
+        if (!column.sort) {
+            return `<th data-col="${column.key}"${title}>${column.header}</th>`;
+        }
+        const sorted = column.key === DEFAULT_SORT[type] ? ` sorted" data-sort-dir="${column.sort}` : '';
+        // The heat map looks percentiles up by JSON field, where that isn't the key
+        const field = jsonField(column) !== column.key ? ` data-field="${jsonField(column)}"` : '';
+        const relative = column.relative ? ' data-relative="1"' : '';
+        return `<th class="stat-num sortable${sorted}" data-sort="${column.key}" data-default="${column.sort}"${field}${relative}${title}>${column.header}</th>`;
+    }).join('\n                            ');
+}
+
+// Choices for the page's position filter. OF also matches LF, CF and RF.
+const FILTER_POSITIONS = ['C', '1B', '2B', '3B', 'SS', 'OF', 'LF', 'CF', 'RF', 'DH'];
+
+// Position filter menu; the main controls and the floating panel each get one
+function positionSelect(id) {
+    return `<select id="${id}" data-filter="pos" onchange="applyFilters(this)">
+                        <option value="">All</option>${FILTER_POSITIONS.map(position => `
+                        <option value="${position}">${position}</option>`).join('')}
+                    </select>`;
+}
+
+// Starter/reliever filter menu for the pitcher tables
+function roleSelect(id) {
+    return `<select id="${id}" data-filter="role" onchange="applyFilters(this)">
+                        <option value="">All</option>
+                        <option value="SP">Starters</option>
+                        <option value="RP">Relievers</option>
+                    </select>`;
+}
+
+// Age range inputs, ids <prefix>Min and <prefix>Max
+function ageInputs(prefix) {
+    return `<input type="number" id="${prefix}Min" data-filter="ageMin" min="16" max="50" onchange="applyFilters(this)">
+                    <label for="${prefix}Max"> to </label>
+                    <input type="number" id="${prefix}Max" data-filter="ageMax" min="16" max="50" onchange="applyFilters(this)">`;
+}
+
+// Bats (batters) / throws (pitchers) filter menu
+function handSelect(id) {
+    return `<select id="${id}" data-filter="hand" onchange="applyFilters(this)">
+                        <option value="">Any</option>
+                        <option value="R">Right</option>
+                        <option value="L">Left</option>
+                        <option value="S">Switch</option>
+                    </select>`;
+}
+
+// Multi-team and rookie checkboxes
+function flagCheckboxes() {
+    return `<label><input type="checkbox" data-filter="multi" onchange="applyFilters(this)"> Multi-team</label>
+                <label><input type="checkbox" data-filter="rookie" onchange="applyFilters(this)"> Rookies</label>`;
+}
+
+// Body rows for a team table: season rows, then the hidden rolling-window rows
+function createTableRows(type, entries, playerTeamCount, constants) {
+    if (entries.length === 0) {
+        return `<tr><td colspan="${tableColumns(type).length + 1}" style="text-align:center;">No ${type}s</td></tr>`;
+    }
+    return entries.map(entry => createPlayerRow(type, entry.player, entry.stats, playerTeamCount, constants, 'season', entry.splits)).join('') +
+        createWindowRows(entries, type, playerTeamCount, constants);
+}
+
+// One team's section of the page: its batter and pitcher tables. leagueLines holds the
+// average team line per table type and stat window, for the footer rows.
+function createTeamSection(team, entries, playerTeamCount, constants, leagueLines) {
+    return `
+            <div class="team-section" id="${teamSlug(team.name)}">
+                <div class="team-header"><a href="${teamPagePath(team.name)}" style="color: #2563eb; text-decoration: none;">${team.name}</a></div>
+                
+                <div class="section-title">Batters</div>
+                <table class="batter-table" data-default-sort="${DEFAULT_SORT.batter}">
+                    <thead>
+                        <tr>
+                            <th class="sortable" data-sort="name" data-default="asc">Name</th>
+                            ${createHeaderCells('batter')}
+                        </tr>
+                    </thead>
+                    <tbody id="batters-${team.id}">
+                        ${createTableRows('batter', entries.batters, playerTeamCount, constants)}
+                    </tbody>
+                    <tfoot>
+                        ${createTableFooter('batter', team, entries.batters, leagueLines.batter, constants)}
+                    </tfoot>
+                </table>
+                
+                <div class="section-title">Pitchers</div>
+                <table class="pitcher-table" data-default-sort="${DEFAULT_SORT.pitcher}">
+                    <thead>
+                        <tr>
+                            <th class="sortable" data-sort="name" data-default="asc">Name</th>
+                            ${createHeaderCells('pitcher')}
+                        </tr>
+                    </thead>
+                    <tbody id="pitchers-${team.id}">
+                        ${createTableRows('pitcher', entries.pitchers, playerTeamCount, constants)}
+                    </tbody>
+                    <tfoot>
+                        ${createTableFooter('pitcher', team, entries.pitchers, leagueLines.pitcher, constants)}
+                    </tfoot>
+                </table>
+            </div>
+        `;
+}
+
+// Split a team's roster into batters and pitchers using the bulk-fetched people map.
+// extras:
+//   windowLines - STAT_WINDOWS key -> playerId -> { hitting, pitching, stats }, added to
+//                 each entry as entry.windows; null when windows aren't available
+//   splitLines  - playerId -> { hitting, pitching }, added as entry.splits
+//   constants   - league constants (FIP constant, replacement FIP) for the FIPAR sort
+//   parkFactors - playerId -> park factor, added as entry.player.parkFactor
+//   playerTeamCount - playerId -> number of rosters he's on; a traded player's lines for this
+//                 team alone are added as entry.teamStats and entry.teamWindows, for the totals
+function loadTeamStats(team, roster, people, extras) {
+    const { windowLines, splitLines, constants, parkFactors, playerTeamCount, season } = extras;
     console.log(`Loading ${team.name}...`);
-    const roster = await fetchTeamRoster(team.id, season);
     
     const batters = [];
     const pitchers = [];
     
     for (const player of roster) {
-        // Fetch full player details for age and handedness
-        const playerDetails = await fetchPlayerDetails(player.person.id);
+        const person = people[player.person.id];
+        if (!person) continue;
         
         // Merge the detailed player info with the roster player info
         const enrichedPlayer = {
             ...player,
             person: {
                 ...player.person,
-                ...(playerDetails || {})
-            }
+                ...person.details
+            },
+            parkFactor: parkFactors[player.person.id],
+            rookie: isRookie(person.details, season)
         };
         
-        const stats = await fetchPlayerStats(player.person.id, season);
+        const multiTeam = playerTeamCount[player.person.id] > 1;
+        const teamLine = (stats, group) => getTeamGroupStat(stats || [], group, team.id, multiTeam);
+        
+        const hittingStats = getGroupStat(person.stats, 'hitting');
+        if (hittingStats) {
+            batters.push({
+                player: enrichedPlayer,
+                stats: hittingStats,
+                teamStats: teamLine(person.stats, 'hitting'),
+                windows: playerWindows(windowLines, player.person.id, line => line.hitting),
+                teamWindows: playerWindows(windowLines, player.person.id, line => teamLine(line.stats, 'hitting')),
+                splits: splitLines[player.person.id] ? splitLines[player.person.id].hitting : null
+            });
+        }
         
-        for (const statGroup of stats) {
-            if (statGroup.group.displayName === 'hitting' && statGroup.splits.length > 0) {
-                const hittingStats = statGroup.splits[0].stat;
-                batters.push({ player: enrichedPlayer, stats: hittingStats });
-            }
-            
-            if (statGroup.group.displayName === 'pitching' && statGroup.splits.length > 0) {
-                const pitchingStats = statGroup.splits[0].stat;
-                pitchers.push({ player: enrichedPlayer, stats: pitchingStats });
-            }
+        const pitchingStats = getGroupStat(person.stats, 'pitching');
+        if (pitchingStats) {
+            pitchers.push({
+                player: enrichedPlayer,
+                stats: pitchingStats,
+                teamStats: teamLine(person.stats, 'pitching'),
+                windows: playerWindows(windowLines, player.person.id, line => line.pitching),
+                teamWindows: playerWindows(windowLines, player.person.id, line => teamLine(line.stats, 'pitching')),
+                splits: splitLines[player.person.id] ? splitLines[player.person.id].pitching : null
+            });
         }
     }
     
@@ -293,57 +573,86 @@ async function loadTeamStats(team, season) {
     batters.sort((a, b) => calculateRC(b.stats) - calculateRC(a.stats));
     
     // Sort pitchers by FIPAR descending
-    pitchers.sort((a, b) => {
-        const fiparA = (6.00 - calculateFIP(a.stats)) * parseFloat(a.stats.inningsPitched || 0) / 9;
-        const fiparB = (6.00 - calculateFIP(b.stats)) * parseFloat(b.stats.inningsPitched || 0) / 9;
-        return fiparB - fiparA;
-    });
+    const fipar = stats => calculateFIPAR(stats, constants.replacementFIP, constants.fipConstant);
+    pitchers.sort((a, b) => fipar(b.stats) - fipar(a.stats));
     
     return { batters, pitchers };
 }
 
-async function checkSeasonHasData(season) {
+// One player's lines for every window: { last7: stat or null, ... }, or null without windows.
+// pick takes the line out of his windowLines entry.
+function playerWindows(windowLines, playerId, pick) {
+    if (!windowLines) return null;
+    const windows = {};
+    for (const key of Object.keys(STAT_WINDOWS)) {
+        const line = windowLines[key][playerId];
+        windows[key] = line ? pick(line) : null;
+    }
+    return windows;
+}
+
+// Leaderboard fields for a player's stat line, one per registry column
+function playerJson(type, player, stats, constants) {
+    return columnsJson(type, stats, columnContext(player, constants));
+}
+
+// { last7: json or null, ... } from an entry's window stats
+function windowsJson(windows, toJson) {
+    const json = {};
+    for (const [key, stats] of Object.entries(windows)) {
+        json[key] = stats ? toJson(stats) : null;
+    }
+    return json;
+}
+
+async function checkSeasonHasData(api, season) {
     console.log(`Checking if ${season} season has data...`);
-    const teams = await fetchTeams(season);
+    const teams = await fetchTeams(api, season);
     if (!teams || teams.length === 0) return false;
     
     // Check first team's roster
     const sampleTeam = teams[0];
-    const roster = await fetchTeamRoster(sampleTeam.id, season);
+    const roster = await fetchTeamRoster(api, sampleTeam.id, season);
     if (!roster || roster.length === 0) return false;
     
-    // Check if any players have stats
-    let hasStats = false;
-    for (const player of roster.slice(0, 5)) { // Just check first 5 players
-        const stats = await fetchPlayerStats(player.person.id, season);
-        for (const statGroup of stats) {
-            if (statGroup.splits && statGroup.splits.length > 0) {
-                hasStats = true;
-                break;
-            }
-        }
-        if (hasStats) break;
-    }
+    // Check if any of the first 5 players have stats
+    const samplePeople = await fetchPeopleWithStats(api, roster.slice(0, 5).map(player => player.person.id), season);
+    const hasStats = Object.values(samplePeople).some(person =>
+        person.stats.some(statGroup => statGroup.splits && statGroup.splits.length > 0));
     
     console.log(`${season} has data: ${hasStats}`);
     return hasStats;
 }
 
-async function generateHTML() {
-    const currentYear = new Date().getFullYear();
+// Options (all optional):
+//   season  - season to build; by default the current year, or last year if it has no data yet
+//   teams   - team abbreviations to include ("NYY,BOS" or an array); default all 30
+//   outDir  - directory for player_stats.html and player-stats.json; default "."
+//   dryRun  - fetch and build everything but write nothing
+//   cache   - response cache (default from STATS_CACHE_MODE / STATS_CACHE_DIR)
+//   api     - Stats API client (default: a new client using the cache)
+async function generateHTML(options = {}) {
+    const cache = options.cache || cacheFromEnv();
+    const api = options.api || createApiClient({ cache });
     
-    // Determine which season to use
-    let season = currentYear;
-    const hasCurrentData = await checkSeasonHasData(currentYear);
+    // Recorded run time when replaying from the response cache, otherwise now
+    const runDate = cache.runDate('stats');
+    const currentYear = runDate.getFullYear();
     
-    if (!hasCurrentData) {
+    // Determine which season to use
+    let season = options.season ? parseInt(options.season) : currentYear;
+    if (options.season) {
+        console.log(`Using ${season} season data`);
+    } else if (!(await checkSeasonHasData(api, currentYear))) {
         console.log(`No data for ${currentYear}, using ${currentYear - 1}`);
         season = currentYear - 1;
     } else {
         console.log(`Using ${season} season data`);
     }
     
-    const teams = await fetchTeams(season);
+    const teams = await fetchTeams(api, season);
+    const teamFilter = parseTeamFilter(options.teams);
+    const isSelected = team => !teamFilter || teamFilter.includes(team.abbreviation);
     
     // Separate teams by league
     const alTeams = teams.filter(t => t.league && t.league.name === 'American League')
@@ -354,21 +663,134 @@ async function generateHTML() {
     const allTeams = [...alTeams, ...nlTeams];
     const teamData = {};
     
+    // Fetch every roster once; they are reused for stats loading below.
+    // All 30 are needed even with a team filter, to spot multi-team players.
+    console.log('Fetching rosters...');
+    const rosters = await Promise.all(allTeams.map(team => fetchTeamRoster(api, team.id, season)));
+    
     // First pass: count how many teams each player appears on
     console.log('Counting multi-team players...');
     const playerTeamCount = {};
     
-    for (const team of allTeams) {
-        const roster = await fetchTeamRoster(team.id, season);
+    for (const roster of rosters) {
         for (const player of roster) {
             const playerId = player.person.id;
             playerTeamCount[playerId] = (playerTeamCount[playerId] || 0) + 1;
         }
     }
     
+    // Fetch details and stats for every selected player in a handful of bulk requests
+    const playerIds = [...new Set(allTeams
+        .flatMap((team, i) => isSelected(team) ? rosters[i] : [])
+        .map(player => player.person.id))];
+    console.log(`Fetching details and stats for ${playerIds.length} players...`);
+    const people = await fetchPeopleWithStats(api, playerIds, season);
+    
+    // Rolling last-N-day lines for the current season. After the last game they stay on the
+    // season's final stretch instead of running on into the offseason with nobody playing.
+    let windowRanges = null;
+    let windowLines = null;
+    if (season === currentYear) {
+        const today = snapshotDate(runDate);
+        const lastGameDate = await fetchLastGameDate(api, season);
+        windowRanges = statWindowRanges(lastGameDate && lastGameDate < today ? lastGameDate : today);
+        windowLines = {};
+        for (const [key, range] of Object.entries(windowRanges)) {
+            console.log(`Fetching ${key} stats (${range.start} to ${range.end})...`);
+            windowLines[key] = await fetchPeopleDateRangeStats(api, playerIds, season, range.start, range.end);
+        }
+    }
+    
+    // League-derived FIP constant and replacement level, rounded as published in player-stats.json
+    console.log('Computing league FIP constant and replacement level...');
+    const leaguePitching = await fetchLeagueTeamStats(api, season, 'pitching');
+    const leagueTotals = sumStats(leaguePitching);
+    const fipConstant = Math.round(calculateFIPConstant(leagueTotals) * 1000) / 1000;
+
+    // The replacement pool is every team's depth, team filter or not, so a --teams run gets the
+    // same replacement level as a full one: the other teams' players are fetched for it here
+    const selectedIds = new Set(playerIds);
+    const poolIds = [...new Set(rosters.flat().map(player => player.person.id))].filter(id => !selectedIds.has(id));
+    const poolPeople = poolIds.length > 0
+        ? { ...people, ...await fetchPeopleWithStats(api, poolIds, season) }
+        : people;
+    const teamPitching = [];
+    const pooled = new Set();
+    for (const [i, team] of allTeams.entries()) {
+        const lines = [];
+        for (const player of rosters[i]) {
+            const person = poolPeople[player.person.id];
+            const pitching = person && !pooled.has(player.person.id) ? getGroupStat(person.stats, 'pitching') : null;
+            if (pitching) {
+                lines.push(pitching);
+                pooled.add(player.person.id);
+            }
+        }
+        teamPitching.push(lines);
+    }
+    const replacement = calculateReplacementFIP(teamPitching, fipConstant);
+    if (replacement.poolIP < REPLACEMENT_POOL_MIN_IP) {
+        console.log(`Replacement pool has only ${replacement.poolIP.toFixed(1)} IP; using the default replacement FIP of ${REPLACEMENT_FIP.toFixed(2)}`);
+    }
+
+    // Season linear weights for wOBA and friends, from league batting totals
+    const leagueHitting = await fetchLeagueTeamStats(api, season, 'hitting');
+    const wobaWeights = calculateWOBAWeights(sumStats(leagueHitting));
+    const woba = {};
+    for (const [key, value] of Object.entries(wobaWeights || {})) {
+        woba[key] = Math.round(value * 10000) / 10000;
+    }
+    
+    const constants = {
+        fipConstant: fipConstant,
+        replacementFIP: Math.round(replacement.replacementFIP * 1000) / 1000,
+        leagueERA: Math.round(calculateERA(leagueTotals) * 1000) / 1000,
+        replacementPoolIP: Math.round(replacement.poolIP * 10) / 10,
+        leagueHRPerFB: Math.round(calculateLeagueHRPerFB(leagueTotals) * 10000) / 10000,
+        runsPerWin: Math.round(calculateRunsPerWin(leagueTotals) * 1000) / 1000,
+        wobaWeights: wobaWeights ? woba : null
+    };
+    console.log(`FIP constant ${constants.fipConstant}, replacement FIP ${constants.replacementFIP} (pool of ${constants.replacementPoolIP} IP), league HR/FB ${constants.leagueHRPerFB}, ${constants.runsPerWin} runs per win`);
+    if (wobaWeights) {
+        console.log(`wOBA scale ${woba.scale}, league wOBA ${woba.leagueWOBA}`);
+    }
+    
+    // Park factor per player: his team's park, or the average of his teams' parks after a trade
+    const playerTeams = {};
+    allTeams.forEach((team, i) => {
+        for (const player of rosters[i]) {
+            (playerTeams[player.person.id] = playerTeams[player.person.id] || []).push(team.abbreviation);
+        }
+    });
+    const parkFactors = {};
+    for (const [playerId, abbreviations] of Object.entries(playerTeams)) {
+        parkFactors[playerId] = getCombinedParkFactor(abbreviations);
+    }
+    
+    console.log('Fetching platoon and home/away splits...');
+    const splitLines = await fetchPeopleSplitStats(api, playerIds, season);
+    
     // Load all team stats
-    for (const team of allTeams) {
-        teamData[team.id] = await loadTeamStats(team, season);
+    allTeams.forEach((team, i) => {
+        if (isSelected(team)) {
+            teamData[team.id] = loadTeamStats(team, rosters[i], people, { windowLines, splitLines, constants, parkFactors, playerTeamCount, season });
+        }
+    });
+    
+    // League-average team lines for the tables' reference rows: the league's own team totals
+    // for the season, and for the rolling windows every listed player's line added up and
+    // shared out over the teams (just the chosen teams when the run is limited to some)
+    const leagueLines = {
+        batter: { season: averageStats(leagueHitting) },
+        pitcher: { season: averageStats(leaguePitching) }
+    };
+    if (windowLines) {
+        const teamCount = allTeams.filter(isSelected).length;
+        for (const key of Object.keys(STAT_WINDOWS)) {
+            const lines = Object.values(windowLines[key]);
+            leagueLines.batter[key] = averageStats(lines.map(line => line.hitting).filter(Boolean), teamCount);
+            leagueLines.pitcher[key] = averageStats(lines.map(line => line.pitching).filter(Boolean), teamCount);
+        }
     }
     
     // ========== Generate JSON for leaderboards ==========
@@ -376,262 +798,79 @@ async function generateHTML() {
     
     const allBatters = [];
     const allPitchers = [];
+    // Stats API season lines behind the JSON, for the history snapshot
+    const statLines = { batters: {}, pitchers: {} };
     
-    for (const team of allTeams) {
+    for (const team of allTeams.filter(isSelected)) {
         const league = team.league.name === 'American League' ? 'AL' : 'NL';
         const { batters, pitchers } = teamData[team.id];
         
         for (const b of batters) {
-            const stats = b.stats;
-            const pa = (stats.atBats || 0) + (stats.baseOnBalls || 0) + (stats.hitByPitch || 0) + (stats.sacFlies || 0);
-            const singles = (stats.hits || 0) - (stats.doubles || 0) - (stats.triples || 0) - (stats.homeRuns || 0);
-            const tb = singles + 2 * (stats.doubles || 0) + 3 * (stats.triples || 0) + 4 * (stats.homeRuns || 0);
-            const rc = calculateRC(stats);
-            
-            allBatters.push({
+            const position = b.player.position ? b.player.position.abbreviation : null;
+            const batter = {
                 name: b.player.person.fullName,
                 playerId: b.player.person.id,
                 team: team.name,
                 teamAbbr: team.abbreviation,
                 league: league,
                 age: b.player.person.currentAge || null,
-                g: stats.gamesPlayed || 0,
-                pa: pa,
-                ab: stats.atBats || 0,
-                h: stats.hits || 0,
-                hr: stats.homeRuns || 0,
-                rbi: stats.rbi || 0,
-                r: stats.runs || 0,
-                sb: stats.stolenBases || 0,
-                bb: stats.baseOnBalls || 0,
-                so: stats.strikeOuts || 0,
-                avg: stats.atBats > 0 ? Math.round((stats.hits / stats.atBats) * 1000) / 1000 : 0,
-                obp: pa > 0 ? Math.round(((stats.hits || 0) + (stats.baseOnBalls || 0) + (stats.hitByPitch || 0)) / pa * 1000) / 1000 : 0,
-                slg: stats.atBats > 0 ? Math.round((tb / stats.atBats) * 1000) / 1000 : 0,
-                ops: Math.round(((pa > 0 ? ((stats.hits || 0) + (stats.baseOnBalls || 0) + (stats.hitByPitch || 0)) / pa : 0) + (stats.atBats > 0 ? tb / stats.atBats : 0)) * 1000) / 1000,
-                doubles: stats.doubles || 0,
-                triples: stats.triples || 0,
-                tb: tb,
-                rc: Math.round(rc),
+                position: position,
+                ...playerJson('batter', b.player, b.stats, constants),
                 batSide: b.player.person.batSide ? b.player.person.batSide.code : null
-            });
+            };
+            if (b.windows) {
+                batter.windows = windowsJson(b.windows, stats => playerJson('batter', b.player, stats, constants));
+            }
+            allBatters.push(batter);
+            statLines.batters[batter.playerId] = { stats: b.stats, parkFactor: b.player.parkFactor };
         }
         
         for (const p of pitchers) {
-            const stats = p.stats;
-            const ip = parseFloat(stats.inningsPitched) || 0;
-            const fip = calculateFIP(stats);
-            const fipar = Math.round((6.00 - fip) * ip / 9);
-            
-            allPitchers.push({
+            const pitcher = {
                 name: p.player.person.fullName,
                 playerId: p.player.person.id,
                 team: team.name,
                 teamAbbr: team.abbreviation,
                 league: league,
                 age: p.player.person.currentAge || null,
-                g: stats.gamesPlayed || 0,
-                gs: stats.gamesStarted || 0,
-                ip: Math.round(ip * 10) / 10,
-                w: stats.wins || 0,
-                l: stats.losses || 0,
-                sv: stats.saves || 0,
-                hr: stats.homeRuns || 0,
-                k: stats.strikeOuts || 0,
-                bb: stats.baseOnBalls || 0,
-                era: ip > 0 ? Math.round(((stats.earnedRuns || 0) * 9 / ip) * 100) / 100 : 0,
-                whip: ip > 0 ? Math.round(((stats.baseOnBalls || 0) + (stats.hits || 0)) / ip * 100) / 100 : 0,
-                fip: Math.round(fip * 100) / 100,
-                fipar: fipar,
-                h: stats.hits || 0,
-                er: stats.earnedRuns || 0,
+                ...playerJson('pitcher', p.player, p.stats, constants),
                 pitchHand: p.player.person.pitchHand ? p.player.person.pitchHand.code : null
-            });
+            };
+            if (p.windows) {
+                pitcher.windows = windowsJson(p.windows, stats => playerJson('pitcher', p.player, stats, constants));
+            }
+            allPitchers.push(pitcher);
+            statLines.pitchers[pitcher.playerId] = { stats: p.stats, parkFactor: p.player.parkFactor };
         }
     }
     
     const playerStatsJson = {
+        schemaVersion: SCHEMA_VERSION,
         season: season,
-        updated: new Date().toISOString(),
+        updated: runDate.toISOString(),
+        constants: constants,
         batters: allBatters,
         pitchers: allPitchers
     };
+    if (windowRanges) {
+        playerStatsJson.windowRanges = windowRanges;
+    }
+    addPercentiles(playerStatsJson);
+    assertValid(playerStatsSchema(), playerStatsJson, 'player-stats.json');
     // ========== End JSON generation ==========
     
     // Generate team HTML sections
     let alHTML = '';
-    for (const team of alTeams) {
-        const { batters, pitchers } = teamData[team.id];
-        
-        const batterRows = batters.length > 0 
-            ? batters.map(b => createBatterRow(b.player, b.stats, playerTeamCount)).join('')
-            : '<tr><td colspan="20" style="text-align:center;">No batters</td></tr>';
-        
-        const pitcherRows = pitchers.length > 0
-            ? pitchers.map(p => createPitcherRow(p.player, p.stats, playerTeamCount)).join('')
-            : '<tr><td colspan="18" style="text-align:center;">No pitchers</td></tr>';
-        
-        const teamId = team.name.toLowerCase()
-            .replace(/\s+/g, '-')
-            .replace(/[^a-z0-9-]/g, '');
-        
-        const fangraphsSlug = getTeamFangraphsSlug(team.name);
-        const fangraphsUrl = `https://www.fangraphs.com/teams/${fangraphsSlug}`;
-        
-        alHTML += `
-            <div class="team-section" id="${teamId}">
-                <div class="team-header"><a href="${fangraphsUrl}" target="_blank" style="color: #2563eb; text-decoration: none;">${team.name}</a></div>
-                
-                <div class="section-title">Batters</div>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Name</th>
-                            <th class="stat-num sortable" data-sort="age" data-default="desc">Age</th>
-                            <th>Pos</th>
-                            <th class="stat-num sortable sorted" data-sort="rc" data-default="desc">RC</th>
-                            <th class="stat-num sortable" data-sort="r" data-default="desc">R</th>
-                            <th class="stat-num sortable" data-sort="rbi" data-default="desc">RBI</th>
-                            <th class="stat-num sortable" data-sort="ba" data-default="desc">BA</th>
-                            <th class="stat-num sortable" data-sort="obp" data-default="desc">OBP</th>
-                            <th class="stat-num sortable" data-sort="slg" data-default="desc">SLG</th>
-                            <th class="stat-num sortable" data-sort="g" data-default="desc">G</th>
-                            <th class="stat-num sortable" data-sort="pa" data-default="desc">PA</th>
-                            <th class="stat-num sortable" data-sort="h" data-default="desc">H</th>
-                            <th class="stat-num sortable" data-sort="2b" data-default="desc">2B</th>
-                            <th class="stat-num sortable" data-sort="3b" data-default="desc">3B</th>
-                            <th class="stat-num sortable" data-sort="hr" data-default="desc">HR</th>
-                            <th class="stat-num sortable" data-sort="tb" data-default="desc">TB</th>
-                            <th class="stat-num sortable" data-sort="bb" data-default="desc">BB</th>
-                            <th class="stat-num sortable" data-sort="so" data-default="desc">SO</th>
-                            <th class="stat-num sortable" data-sort="sb" data-default="desc">SB</th>
-                            <th class="stat-num sortable" data-sort="cs" data-default="desc">CS</th>
-                        </tr>
-                    </thead>
-                    <tbody id="batters-${team.id}">
-                        ${batterRows}
-                    </tbody>
-                </table>
-                
-                <div class="section-title">Pitchers</div>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Name</th>
-                            <th class="stat-num sortable" data-sort="age" data-default="desc">Age</th>
-                            <th class="stat-num sortable sorted" data-sort="fipar" data-default="desc">FIPAR</th>
-                            <th class="stat-num sortable" data-sort="ip" data-default="desc">IP</th>
-                            <th class="stat-num sortable" data-sort="era" data-default="asc">ERA</th>
-                            <th class="stat-num sortable" data-sort="fip" data-default="asc">FIP</th>
-                            <th class="stat-num sortable" data-sort="whip" data-default="asc">WHIP</th>
-                            <th class="stat-num sortable" data-sort="g" data-default="desc">G</th>
-                            <th class="stat-num sortable" data-sort="gs" data-default="desc">GS</th>
-                            <th class="stat-num sortable" data-sort="w" data-default="desc">W</th>
-                            <th class="stat-num sortable" data-sort="l" data-default="desc">L</th>
-                            <th class="stat-num sortable" data-sort="sv" data-default="desc">SV</th>
-                            <th class="stat-num sortable" data-sort="h" data-default="desc">H</th>
-                            <th class="stat-num sortable" data-sort="r" data-default="desc">R</th>
-                            <th class="stat-num sortable" data-sort="er" data-default="desc">ER</th>
-                            <th class="stat-num sortable" data-sort="hr" data-default="desc">HR</th>
-                            <th class="stat-num sortable" data-sort="bb" data-default="desc">BB</th>
-                            <th class="stat-num sortable" data-sort="so" data-default="desc">SO</th>
-                        </tr>
-                    </thead>
-                    <tbody id="pitchers-${team.id}">
-                        ${pitcherRows}
-                    </tbody>
-                </table>
-            </div>
-        `;
+    for (const team of alTeams.filter(isSelected)) {
+        alHTML += createTeamSection(team, teamData[team.id], playerTeamCount, constants, leagueLines);
     }
     
     let nlHTML = '';
-    for (const team of nlTeams) {
-        const { batters, pitchers } = teamData[team.id];
-        
-        const batterRows = batters.length > 0 
-            ? batters.map(b => createBatterRow(b.player, b.stats, playerTeamCount)).join('')
-            : '<tr><td colspan="20" style="text-align:center;">No batters</td></tr>';
-        
-        const pitcherRows = pitchers.length > 0
-            ? pitchers.map(p => createPitcherRow(p.player, p.stats, playerTeamCount)).join('')
-            : '<tr><td colspan="18" style="text-align:center;">No pitchers</td></tr>';
-        
-        const teamId = team.name.toLowerCase()
-            .replace(/\s+/g, '-')
-            .replace(/[^a-z0-9-]/g, '');
-        
-        const fangraphsSlug = getTeamFangraphsSlug(team.name);
-        const fangraphsUrl = `https://www.fangraphs.com/teams/${fangraphsSlug}`;
-        
-        nlHTML += `
-            <div class="team-section" id="${teamId}">
-                <div class="team-header"><a href="${fangraphsUrl}" target="_blank" style="color: #2563eb; text-decoration: none;">${team.name}</a></div>
-                
-                <div class="section-title">Batters</div>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Name</th>
-                            <th class="stat-num sortable" data-sort="age" data-default="desc">Age</th>
-                            <th>Pos</th>
-                            <th class="stat-num sortable sorted" data-sort="rc" data-default="desc">RC</th>
-                            <th class="stat-num sortable" data-sort="r" data-default="desc">R</th>
-                            <th class="stat-num sortable" data-sort="rbi" data-default="desc">RBI</th>
-                            <th class="stat-num sortable" data-sort="ba" data-default="desc">BA</th>
-                            <th class="stat-num sortable" data-sort="obp" data-default="desc">OBP</th>
-                            <th class="stat-num sortable" data-sort="slg" data-default="desc">SLG</th>
-                            <th class="stat-num sortable" data-sort="g" data-default="desc">G</th>
-                            <th class="stat-num sortable" data-sort="pa" data-default="desc">PA</th>
-                            <th class="stat-num sortable" data-sort="h" data-default="desc">H</th>
-                            <th class="stat-num sortable" data-sort="2b" data-default="desc">2B</th>
-                            <th class="stat-num sortable" data-sort="3b" data-default="desc">3B</th>
-                            <th class="stat-num sortable" data-sort="hr" data-default="desc">HR</th>
-                            <th class="stat-num sortable" data-sort="tb" data-default="desc">TB</th>
-                            <th class="stat-num sortable" data-sort="bb" data-default="desc">BB</th>
-                            <th class="stat-num sortable" data-sort="so" data-default="desc">SO</th>
-                            <th class="stat-num sortable" data-sort="sb" data-default="desc">SB</th>
-                            <th class="stat-num sortable" data-sort="cs" data-default="desc">CS</th>
-                        </tr>
-                    </thead>
-                    <tbody id="batters-${team.id}">
-                        ${batterRows}
-                    </tbody>
-                </table>
-                
-                <div class="section-title">Pitchers</div>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>Name</th>
-                            <th class="stat-num sortable" data-sort="age" data-default="desc">Age</th>
-                            <th class="stat-num sortable sorted" data-sort="fipar" data-default="desc">FIPAR</th>
-                            <th class="stat-num sortable" data-sort="ip" data-default="desc">IP</th>
-                            <th class="stat-num sortable" data-sort="era" data-default="asc">ERA</th>
-                            <th class="stat-num sortable" data-sort="fip" data-default="asc">FIP</th>
-                            <th class="stat-num sortable" data-sort="whip" data-default="asc">WHIP</th>
-                            <th class="stat-num sortable" data-sort="g" data-default="desc">G</th>
-                            <th class="stat-num sortable" data-sort="gs" data-default="desc">GS</th>
-                            <th class="stat-num sortable" data-sort="w" data-default="desc">W</th>
-                            <th class="stat-num sortable" data-sort="l" data-default="desc">L</th>
-                            <th class="stat-num sortable" data-sort="sv" data-default="desc">SV</th>
-                            <th class="stat-num sortable" data-sort="h" data-default="desc">H</th>
-                            <th class="stat-num sortable" data-sort="r" data-default="desc">R</th>
-                            <th class="stat-num sortable" data-sort="er" data-default="desc">ER</th>
-                            <th class="stat-num sortable" data-sort="hr" data-default="desc">HR</th>
-                            <th class="stat-num sortable" data-sort="bb" data-default="desc">BB</th>
-                            <th class="stat-num sortable" data-sort="so" data-default="desc">SO</th>
-                        </tr>
-                    </thead>
-                    <tbody id="pitchers-${team.id}">
-                        ${pitcherRows}
-                    </tbody>
-                </table>
-            </div>
-        `;
+    for (const team of nlTeams.filter(isSelected)) {
+        nlHTML += createTeamSection(team, teamData[team.id], playerTeamCount, constants, leagueLines);
     }
     
-    const now = new Date();
+    const now = runDate;
     const dateStr = now.toLocaleString('en-US', { 
         timeZone: 'America/New_York',
         year: 'numeric',
@@ -642,13 +881,24 @@ async function generateHTML() {
         timeZoneName: 'short'
     });
     
-    const html = `<!DOCTYPE html>
+    // Season / rolling-window switch for the tables (current season only)
+    const statWindowSelect = windowRanges ? `<div class="stat-window">
+                        <label for="statWindow">Stats: </label>
+                        <select id="statWindow" onchange="setStatWindow(this.value)">
+                            <option value="season">Season</option>${Object.entries(windowRanges).map(([key, range]) => `
+                            <option value="${key}">Last ${STAT_WINDOWS[key]} Days (${formatShortDate(range.start)}-${formatShortDate(range.end)})</option>`).join('')}
+                        </select>
+                    </div>` : '';
+    
+    // The page is rendered once per location (top level and season archive)
+    const seasons = listArchivedSeasons(options, season);
+    const renderPage = rootPath => `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Baseball Graphs Player Stats - ${season}</title>
-    <link rel="icon" href="favicon.png">
+    <link rel="icon" href="${rootPath}favicon.png">
     <style>
         * {
             margin: 0;
@@ -710,6 +960,34 @@ async function generateHTML() {
             background: #d1d5db;
         }
         
+        .season-switcher {
+            display: flex;
+            justify-content: flex-end;
+            align-items: center;
+            gap: 8px;
+            margin: -10px 0 20px 0;
+            font-size: 0.95em;
+        }
+        .season-switcher label {
+            color: #8B4513;
+            font-weight: 600;
+        }
+        .season-switcher select {
+            padding: 4px 8px;
+            font-family: Georgia, "Times New Roman", serif;
+            border: 1px solid #CD853F;
+            border-radius: 4px;
+            background-color: white;
+            cursor: pointer;
+        }
+        .season-switcher a {
+            color: #2563eb;
+            text-decoration: none;
+        }
+        .season-switcher a:hover {
+            text-decoration: underline;
+        }
+        
         .header {
             text-align: center;
             margin-bottom: 20px;
@@ -934,6 +1212,16 @@ async function generateHTML() {
             background-color: #DEB887;
         }
         
+        th[data-sort-dir="desc"]::after {
+            content: ' \\25BC' attr(data-sort-rank);
+            font-size: 0.7em;
+        }
+        
+        th[data-sort-dir="asc"]::after {
+            content: ' \\25B2' attr(data-sort-rank);
+            font-size: 0.7em;
+        }
+        
         td {
             padding: 6px;
             border-bottom: 1px solid #E8D5B7;
@@ -961,10 +1249,162 @@ async function generateHTML() {
             font-family: Georgia, "Times New Roman", serif;
         }
         
-        .data-row.hidden {
+        .data-row.hidden,
+        .data-row.window-hidden {
+            display: none;
+        }
+        
+        tfoot .total-row > td {
+            font-weight: bold;
+            border-top: 2px solid #8B4513;
+        }
+        
+        tfoot .league-row > td {
+            font-style: italic;
+            color: #555;
+        }
+        
+        .split-toggle {
+            display: inline-block;
+            width: 1em;
+            margin-right: 2px;
+            color: #8B4513;
+            cursor: pointer;
+            user-select: none;
+        }
+        
+        .split-row {
             display: none;
         }
         
+        .split-row.open {
+            display: table-row;
+        }
+        
+        .data-row.hidden + .split-row,
+        .data-row.window-hidden + .split-row {
+            display: none;
+        }
+        
+        .split-row > td {
+            background-color: #FFFAF0;
+            padding: 4px 6px 12px 24px;
+        }
+        
+        .split-table {
+            width: auto;
+            margin-bottom: 0;
+            font-size: 0.95em;
+        }
+        
+        .split-table th {
+            background-color: #FAF0E6;
+            padding: 4px 8px;
+            border-bottom: 1px solid #CD853F;
+            font-size: 0.9em;
+        }
+        
+        .split-table td {
+            padding: 3px 8px;
+        }
+        
+        .column-chooser {
+            position: relative;
+        }
+        
+        .column-chooser summary {
+            cursor: pointer;
+            font-weight: bold;
+            color: #8B4513;
+        }
+        
+        .column-chooser-panel {
+            position: absolute;
+            z-index: 20;
+            top: 1.8em;
+            left: 0;
+            width: 460px;
+            max-width: 90vw;
+            padding: 12px;
+            background-color: white;
+            border: 2px solid #CD853F;
+            border-radius: 8px;
+            box-shadow: 0 4px 8px rgba(139, 69, 19, 0.2);
+        }
+        
+        .column-presets {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 8px;
+        }
+        
+        .column-presets button {
+            padding: 4px 10px;
+            font-size: 0.9em;
+        }
+        
+        .column-presets button.active {
+            background: #5C2E0A;
+        }
+        
+        .column-chooser fieldset {
+            border: 1px solid #E8D5B7;
+            border-radius: 4px;
+            margin: 6px 0 0;
+            padding: 6px 8px;
+        }
+        
+        .column-options {
+            display: grid;
+            grid-template-columns: repeat(4, 1fr);
+            gap: 2px 8px;
+            font-size: 0.9em;
+        }
+        
+        .column-options label {
+            cursor: pointer;
+            white-space: nowrap;
+        }
+        
+        .column-chooser input {
+            width: auto;
+        }
+        
+        .filter-panel {
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 15px;
+            margin-top: 12px;
+            padding-top: 12px;
+            border-top: 1px solid #E8D5B7;
+        }
+        
+        .filter-panel input[type="search"] {
+            padding: 6px 10px;
+            font-size: 1em;
+            font-family: Georgia, "Times New Roman", serif;
+            border: 1px solid #CD853F;
+            border-radius: 4px;
+            width: 200px;
+        }
+        
+        .filter-panel input[type="checkbox"] {
+            width: auto;
+        }
+        
+        .stat-window select,
+        .filter-panel select {
+            padding: 6px 10px;
+            font-size: 1em;
+            font-family: Georgia, "Times New Roman", serif;
+            border: 1px solid #CD853F;
+            border-radius: 4px;
+            background-color: white;
+            cursor: pointer;
+        }
+        
         /* Floating team selector */
         .floating-selector {
             position: fixed;
@@ -1022,6 +1462,20 @@ async function generateHTML() {
             border-radius: 4px;
         }
         
+        .filter-row select {
+            width: auto;
+            padding: 4px 6px;
+            font-size: 0.9em;
+        }
+        
+        .filter-row input[type="search"] {
+            width: 100%;
+        }
+        
+        .filter-row input[type="checkbox"] {
+            width: auto;
+        }
+        
         .filter-buttons {
             display: flex;
             gap: 8px;
@@ -1094,7 +1548,9 @@ async function generateHTML() {
                 font-size: 0.85em;
             }
         }
+        ${PLAYER_SEARCH_STYLES}
     </style>
+    <style id="columnStyles"></style>
 </head>
 <body>
     <div class="floating-selector">
@@ -1104,17 +1560,39 @@ async function generateHTML() {
             <!-- Will be populated dynamically after page loads -->
         </select>
         <div class="floating-filters">
+            <div class="filter-row">
+                <input type="search" data-filter="name" placeholder="Filter by name" aria-label="Filter by name" oninput="applyFilters(this)">
+            </div>
             <div class="filter-row">
                 <label for="floatingMinPA">Min PA:</label>
-                <input type="number" id="floatingMinPA" value="0">
+                <input type="number" id="floatingMinPA" data-filter="minPA" value="0" min="0" onchange="syncFilter(this)">
             </div>
             <div class="filter-row">
                 <label for="floatingMinIP">Min IP:</label>
-                <input type="number" id="floatingMinIP" value="0">
+                <input type="number" id="floatingMinIP" data-filter="minIP" value="0" min="0" onchange="syncFilter(this)">
+            </div>
+            <div class="filter-row">
+                <label for="floatingPosition">Position:</label>
+                ${positionSelect('floatingPosition')}
+            </div>
+            <div class="filter-row">
+                <label for="floatingRole">Pitchers:</label>
+                ${roleSelect('floatingRole')}
+            </div>
+            <div class="filter-row">
+                <label for="floatingAgeMin">Age:</label>
+                <span>${ageInputs('floatingAge')}</span>
+            </div>
+            <div class="filter-row">
+                <label for="floatingHand">Bats/Throws:</label>
+                ${handSelect('floatingHand')}
+            </div>
+            <div class="filter-row">
+                ${flagCheckboxes()}
             </div>
             <div class="filter-buttons">
-                <button onclick="applyFiltersFromFloating()">Apply</button>
-                <button onclick="resetFiltersFromFloating()">Reset</button>
+                <button onclick="applyFilters()">Apply</button>
+                <button onclick="resetFilters()">Reset</button>
             </div>
         </div>
     </div>
@@ -1134,17 +1612,44 @@ async function generateHTML() {
             <a href="player_stats.html" class="active">Player Stats</a>
         </div>
         
+        ${renderPlayerSearch()}
+        
+        ${renderSeasonSwitcher(seasons, season, 'player_stats.html', rootPath)}
+        
         <details>
             <summary>About these Stats</summary>
             <div class="details-content">
-                <p>This page has been created for you to easily view baseball stats for each player on each team, grouped onto one long webpage. Like how we used to read stats back in the old days, in the newspaper. You may remember that. The stats have been pulled from the official MLB Stats API. Player names link to their Baseball Savant profiles for advanced metrics and visualizations. If a player has played for more than one team, his complete stats are listed for each one. Players who appear on multiple teams are italicized. Lefties have an asterisk; switch-hitters have a cross.</p>
+                <p>This page has been created for you to easily view baseball stats for each player on each team, grouped onto one long webpage. Like how we used to read stats back in the old days, in the newspaper. You may remember that. The stats have been pulled from the official MLB Stats API. Player names link to a page of their own, with bio, every stat we compute, where they rank in the league and their career year by year; those pages link on to Baseball Savant. If a player has played for more than one team, his complete stats are listed for each one. Team names open each team's own page, with its standings, graphs and league ranks. Players who appear on multiple teams are italicized. Lefties have an asterisk; switch-hitters have a cross.</p>
+                
+                <p>Click the arrow next to a player's name for his splits against left- and right-handers and at home and away. For pitchers, OBP and SLG in the splits are what opposing batters hit.</p>
+                
+                <p>During the season, the Stats menu switches every table from season totals to the last 7, 14 or 30 days, to see who is hot and who is cold.</p>
+                
+                <p>The Columns menu shows or hides any stat column in every table, with Traditional, Sabermetric and Compact views to start from. Your choice is remembered, and it's part of the page address, so a link brings the same columns along.</p>
+                
+                <p>The filters under the controls narrow every team at once: type part of a name to find a player, or pick a position, an age range, which side he bats or throws from, starters or relievers, players who have been on more than one team, and rookies (players who debuted this season). The filters you set are part of the page address too.</p>
+                
+                <p>Use the search box to look up any player: pick a name for his season line and links, and the page jumps to his row.</p>
+                
+                <p>Click a column header to sort a table by it, and again to reverse it. Shift-click more headers to break ties by those columns in turn.</p>
+                
+                <p>Under each table are the team's totals and a league-average team. Team rates like OBP and ERA are worked out from the summed lines, not averaged. A traded player counts only what he did for that team; if his line can't be split by team he's left out and the row is marked <em>partial</em>. Set <em>Colors</em> to <em>vs League Average</em> to shade each rate stat red where it beats league average and blue where it trails.</p>
+                
+                <p>The <em>Percentile Heat Map</em> colors instead shade every stat by where the player ranks among the league's qualified players (3.1 PA or 1 IP per team game), from deep blue at the bottom through white to deep red at the top. For stats where lower is better, like ERA, the top is the lowest.</p>
                 
                 <p>Most of these are standard stats, but I've added a few simple sabermetric takes to sort players by their impact.</p>
                 
                 <ul>
                     <li><strong>RC (Runs Created)</strong> is simply OBPxTB</li>
-                    <li><strong>FIP (Fielding Independent Pitching)</strong> ((13xHR)+(3x(BB+HBP))-(2xK))/IP + 3.10</li>
-                    <li><strong>FIPAR (FIP Above Replacement)</strong> (6-FIP)xIP/9</li>
+                    <li><strong>wOBA (Weighted On-Base Average)</strong> credits each way of reaching base (and stolen bases, minus caught stealing) by its run value, using linear weights worked out from this season's league totals. League average wOBA equals league OBP.</li>
+                    <li><strong>wRAA (Weighted Runs Above Average)</strong> (wOBA-league wOBA)/wOBA scale x PA</li>
+                    <li><strong>wRC+ and OPS+</strong> compare a hitter's run production and OPS with league average (100), adjusted for his home park. Traded players get the average of their parks.</li>
+                    <li><strong>Batter rate stats</strong> (pick them under Columns, or use the Sabermetric view) add walk and strikeout rates per plate appearance, ISO (SLG-BA), BABIP, stolen base success rate, extra-base hits per plate appearance and ground outs per air out (GB/FB).</li>
+                    <li><strong>FIP (Fielding Independent Pitching)</strong> ((13xHR)+(3x(BB+HBP))-(2xK))/IP + ${constants.fipConstant.toFixed(2)}. The constant is league ERA minus league FIP without it, recalculated every day so the two match.</li>
+                    <li><strong>FIPAR (FIP Above Replacement)</strong> (${constants.replacementFIP.toFixed(2)}-FIP)xIP/9. Replacement level is the combined FIP of every team's pitchers beyond its top ${REPLACEMENT_POOL_SKIP} in innings.</li>
+                    <li><strong>Pitcher rate stats</strong> (pick them under Columns, or use the Sabermetric view) add batters faced, strikeout and walk rates, HR/9, BABIP and LOB% (the share of baserunners stranded).</li>
+                    <li><strong>xFIP (Expected FIP)</strong> is FIP with his home runs replaced by the league rate of ${(constants.leagueHRPerFB * 100).toFixed(1)}% of fly balls. The API has no batted-ball types, so fly balls are air outs plus home runs.</li>
+                    <li><strong>SIERA</strong> is a simplified Skill-Interactive ERA: strikeouts, walks and ground balls against fly balls per batter faced, with ground outs and air outs standing in for batted-ball data.</li>
                 </ul>
                 
                 <p>These stats are value approximations only. Please don't quote them. For actual good sabermetric stats, go to <a href="https://www.fangraphs.com/">Fangraphs</a> or <a href="https://www.baseball-reference.com/">Baseball Reference</a>.</p>
@@ -1157,16 +1662,61 @@ async function generateHTML() {
                     <button onclick="applyFilters()">Apply Filters</button>
                     <div>
                         <label for="minPA">Min PA: </label>
-                        <input type="number" id="minPA" value="0">
+                        <input type="number" id="minPA" data-filter="minPA" value="0" min="0" onchange="syncFilter(this)">
                     </div>
                     <div>
                         <label for="minIP">Min IP: </label>
-                        <input type="number" id="minIP" value="0">
+                        <input type="number" id="minIP" data-filter="minIP" value="0" min="0" onchange="syncFilter(this)">
                     </div>
                     <button onclick="resetFilters()">Show All</button>
+                    ${statWindowSelect}
+                    <div>
+                        <label for="cellColors">Colors: </label>
+                        <select id="cellColors" onchange="setCellColors(this.value)">
+                            <option value="">None</option>
+                            <option value="league">vs League Average</option>
+                            <option value="heat">Percentile Heat Map</option>
+                        </select>
+                    </div>
+                    <details class="column-chooser">
+                        <summary>Columns</summary>
+                        <div class="column-chooser-panel">
+                            <div class="column-presets">${Object.entries(COLUMN_PRESETS).map(([name, preset]) => `
+                                <button data-preset="${name}" onclick="setColumnPreset('${name}')">${preset.label}</button>`).join('')}
+                            </div>
+                            <fieldset>
+                                <legend>Batters</legend>
+                                <div class="column-options" id="batterColumnOptions"></div>
+                            </fieldset>
+                            <fieldset>
+                                <legend>Pitchers</legend>
+                                <div class="column-options" id="pitcherColumnOptions"></div>
+                            </fieldset>
+                        </div>
+                    </details>
                 </div>
                 <div id="statsInfo">${season} Season - Generated: ${dateStr}</div>
             </div>
+            <div class="filter-panel">
+                <input type="search" id="nameFilter" data-filter="name" placeholder="Filter by name" aria-label="Filter by name" oninput="applyFilters(this)">
+                <div>
+                    <label for="positionFilter">Position: </label>
+                    ${positionSelect('positionFilter')}
+                </div>
+                <div>
+                    <label for="ageMin">Age: </label>
+                    ${ageInputs('age')}
+                </div>
+                <div>
+                    <label for="handFilter">Bats/Throws: </label>
+                    ${handSelect('handFilter')}
+                </div>
+                <div>
+                    <label for="roleFilter">Pitchers: </label>
+                    ${roleSelect('roleFilter')}
+                </div>
+                ${flagCheckboxes()}
+            </div>
         </div>
         
         <div id="content">
@@ -1183,61 +1733,390 @@ async function generateHTML() {
     </div>
 
     <script>
-        function applyFilters() {
-            const minPA = parseInt(document.getElementById('minPA').value) || 0;
-            const minIP = parseFloat(document.getElementById('minIP').value) || 0;
-            
-            // Sync floating controls
-            document.getElementById('floatingMinPA').value = minPA;
-            document.getElementById('floatingMinIP').value = minIP;
-            
-            // Filter batters
-            document.querySelectorAll('tbody[id^="batters-"] .data-row').forEach(row => {
-                const pa = parseInt(row.dataset.pa) || 0;
-                if (pa < minPA) {
-                    row.classList.add('hidden');
-                } else {
-                    row.classList.remove('hidden');
+        // Show one set of rows: the season totals or a rolling window. The filters apply
+        // to whichever lines are showing.
+        function setStatWindow(statWindow) {
+            document.querySelectorAll('.data-row').forEach(row => {
+                row.classList.toggle('window-hidden', row.dataset.window !== statWindow);
+            });
+        }
+        
+        // Rewrite the URL hash's parameters in place; the column chooser and the filters
+        // each own some of them and leave the rest alone
+        function updateHash(update) {
+            const params = new URLSearchParams(location.hash.slice(1));
+            update(params);
+            const hash = params.toString().replace(/%2C/g, ',');
+            history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search);
+        }
+        
+        // Column chooser. A view lists the stat columns shown in every batter and pitcher table,
+        // as { batter: [keys], pitcher: [keys] } with keys from each header's data-col or data-sort.
+        // It's saved in localStorage and in the URL hash (#view=<preset>, or #bat=...&pit=... for
+        // a custom pick) so it can be shared; the hash wins over the saved view.
+        const columnPresets = ${JSON.stringify(COLUMN_PRESETS)};
+        const COLUMN_STORAGE_KEY = 'playerStatsColumns';
+        const COLUMN_TYPES = ['batter', 'pitcher'];
+        let columnView = null;
+        
+        // Choosable columns of a table type with their 1-based positions, from its first table
+        function tableColumns(type) {
+            const table = document.querySelector('.' + type + '-table');
+            if (!table) return [];
+            return Array.from(table.querySelectorAll('thead th'))
+                .map((th, i) => ({ key: th.dataset.col || th.dataset.sort, label: th.textContent.trim(), index: i + 1 }))
+                .filter(column => column.key && column.key !== 'name');
+        }
+        
+        function presetView(name) {
+            return { batter: columnPresets[name].batter.slice(), pitcher: columnPresets[name].pitcher.slice() };
+        }
+        
+        // Name of the preset the current view matches, if any
+        function matchingPreset() {
+            return Object.keys(columnPresets).find(name => COLUMN_TYPES.every(type =>
+                columnPresets[name][type].length === columnView[type].length &&
+                columnPresets[name][type].every(key => columnView[type].includes(key))));
+        }
+        
+        function readColumnView() {
+            const params = new URLSearchParams(location.hash.slice(1));
+            if (columnPresets[params.get('view')]) {
+                return presetView(params.get('view'));
+            }
+            if (params.has('bat') || params.has('pit')) {
+                const fallback = presetView('default');
+                return {
+                    batter: params.has('bat') ? params.get('bat').split(',').filter(Boolean) : fallback.batter,
+                    pitcher: params.has('pit') ? params.get('pit').split(',').filter(Boolean) : fallback.pitcher
+                };
+            }
+            try {
+                const saved = JSON.parse(localStorage.getItem(COLUMN_STORAGE_KEY));
+                if (saved && Array.isArray(saved.batter) && Array.isArray(saved.pitcher)) {
+                    return saved;
+                }
+            } catch (e) {
+                // Unreadable or blocked storage: fall through to the default view
+            }
+            return presetView('default');
+        }
+        
+        // Save the view and put it in the URL hash, keeping any other hash parameters
+        function saveColumnView() {
+            try {
+                localStorage.setItem(COLUMN_STORAGE_KEY, JSON.stringify(columnView));
+            } catch (e) {
+                // Storage can be full or disabled; the hash still carries the view
+            }
+            updateHash(params => {
+                ['view', 'bat', 'pit'].forEach(name => params.delete(name));
+                const preset = matchingPreset();
+                if (preset !== 'default') {
+                    if (preset) {
+                        params.set('view', preset);
+                    } else {
+                        params.set('bat', columnView.batter.join(','));
+                        params.set('pit', columnView.pitcher.join(','));
+                    }
                 }
             });
+        }
+        
+        // Hide the unchosen columns with one generated stylesheet, and sync the chooser
+        function applyColumnView() {
+            const rules = [];
+            COLUMN_TYPES.forEach(type => {
+                tableColumns(type).forEach(column => {
+                    if (columnView[type].includes(column.key)) return;
+                    const table = '.' + type + '-table';
+                    rules.push(table + ' > thead > tr > :nth-child(' + column.index + '), ' +
+                        table + ' > tbody > tr.data-row > :nth-child(' + column.index + '), ' +
+                        table + ' > tfoot > tr > :nth-child(' + column.index + ') { display: none; }');
+                });
+            });
+            document.getElementById('columnStyles').textContent = rules.join('\\n');
             
-            // Filter pitchers
+            document.querySelectorAll('.column-options input').forEach(box => {
+                box.checked = columnView[box.dataset.type].includes(box.value);
+            });
+            const preset = matchingPreset();
+            document.querySelectorAll('.column-presets button').forEach(button => {
+                button.classList.toggle('active', button.dataset.preset === preset);
+            });
+        }
+        
+        function setColumnPreset(name) {
+            columnView = presetView(name);
+            applyColumnView();
+            saveColumnView();
+        }
+        
+        function toggleColumn(box) {
+            const keys = columnView[box.dataset.type].filter(key => key !== box.value);
+            if (box.checked) keys.push(box.value);
+            columnView[box.dataset.type] = keys;
+            applyColumnView();
+            saveColumnView();
+        }
+        
+        // One checkbox per column, in table order
+        function buildColumnChooser() {
+            COLUMN_TYPES.forEach(type => {
+                document.getElementById(type + 'ColumnOptions').innerHTML = tableColumns(type).map(column =>
+                    '<label><input type="checkbox" data-type="' + type + '" value="' + column.key + '" onchange="toggleColumn(this)"> ' +
+                    column.label + '</label>').join('');
+            });
+        }
+        
+        buildColumnChooser();
+        columnView = readColumnView();
+        applyColumnView();
+        window.addEventListener('hashchange', function() {
+            columnView = readColumnView();
+            applyColumnView();
+            loadFilters();
+            loadCellColors();
+            showLinkedPlayer();
+        });
+        
+        // Open or close the split detail row under a player's row
+        function toggleSplits(toggle) {
+            const splitRow = toggle.closest('tr').nextElementSibling;
+            const open = splitRow.classList.toggle('open');
+            toggle.innerHTML = open ? '&#9662;' : '&#9656;';
+            toggle.title = open ? 'Hide splits' : 'Show splits';
+        }
+        
+        // Player filters. Every control carries data-filter="<name>"; the main controls and the
+        // floating panel share names and are kept in step. Filters cover every team's tables at
+        // once, and the ones that are set go in the URL hash (#pos=SS&rookie=1) to be shared.
+        // Position only narrows the batter tables and the starter/reliever role the pitcher tables.
+        const FILTER_DEFAULTS = { name: '', minPA: '0', minIP: '0', pos: '', ageMin: '', ageMax: '', hand: '', role: '', multi: false, rookie: false };
+        
+        function filterControls(name) {
+            return document.querySelectorAll('[data-filter="' + name + '"]');
+        }
+        
+        function setFilterControl(control, value) {
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = value;
+            }
+        }
+        
+        // Copy a changed control's value to its twin in the other panel
+        function syncFilter(source) {
+            const value = source.type === 'checkbox' ? source.checked : source.value;
+            filterControls(source.dataset.filter).forEach(control => {
+                if (control !== source) setFilterControl(control, value);
+            });
+        }
+        
+        function readFilters() {
+            const filters = {};
+            Object.keys(FILTER_DEFAULTS).forEach(name => {
+                const control = filterControls(name)[0];
+                filters[name] = control.type === 'checkbox' ? control.checked : control.value.trim();
+            });
+            return filters;
+        }
+        
+        function rowMatches(row, filters, type) {
+            if (filters.name && !row.cells[0].dataset.value.toLowerCase().includes(filters.name.toLowerCase())) return false;
+            const age = parseInt(row.dataset.age);
+            if (filters.ageMin && !(age >= parseInt(filters.ageMin))) return false;
+            if (filters.ageMax && !(age <= parseInt(filters.ageMax))) return false;
+            if (filters.hand && row.dataset.hand !== filters.hand) return false;
+            if (filters.multi && !row.dataset.multi) return false;
+            if (filters.rookie && !row.dataset.rookie) return false;
+            if (type === 'batter') {
+                if ((parseInt(row.dataset.pa) || 0) < (parseInt(filters.minPA) || 0)) return false;
+                if (filters.pos === 'OF') return ['OF', 'LF', 'CF', 'RF'].includes(row.dataset.pos);
+                return !filters.pos || row.dataset.pos === filters.pos;
+            }
+            if ((parseFloat(row.dataset.ip) || 0) < (parseFloat(filters.minIP) || 0)) return false;
+            return !filters.role || row.dataset.role === filters.role;
+        }
+        
+        // Hide the rows that don't match and put the filters that are set in the hash. With a
+        // source control, sync its twin first.
+        function applyFilters(source) {
+            if (source) syncFilter(source);
+            const filters = readFilters();
+            document.querySelectorAll('tbody[id^="batters-"] .data-row').forEach(row => {
+                row.classList.toggle('hidden', !rowMatches(row, filters, 'batter'));
+            });
             document.querySelectorAll('tbody[id^="pitchers-"] .data-row').forEach(row => {
-                const ip = parseFloat(row.dataset.ip) || 0;
-                if (ip < minIP) {
-                    row.classList.add('hidden');
-                } else {
-                    row.classList.remove('hidden');
-                }
+                row.classList.toggle('hidden', !rowMatches(row, filters, 'pitcher'));
+            });
+            updateHash(params => {
+                Object.keys(FILTER_DEFAULTS).forEach(name => {
+                    const value = filters[name];
+                    if (value === FILTER_DEFAULTS[name] || value === '' || value === false) {
+                        params.delete(name);
+                    } else {
+                        params.set(name, value === true ? '1' : value);
+                    }
+                });
             });
         }
         
         function resetFilters() {
-            document.getElementById('minPA').value = '0';
-            document.getElementById('minIP').value = '0';
-            document.getElementById('floatingMinPA').value = '0';
-            document.getElementById('floatingMinIP').value = '0';
-            document.querySelectorAll('.data-row').forEach(row => {
-                row.classList.remove('hidden');
+            Object.keys(FILTER_DEFAULTS).forEach(name => {
+                filterControls(name).forEach(control => setFilterControl(control, FILTER_DEFAULTS[name]));
             });
+            applyFilters();
         }
         
-        function applyFiltersFromFloating() {
-            const minPA = parseInt(document.getElementById('floatingMinPA').value) || 0;
-            const minIP = parseFloat(document.getElementById('floatingMinIP').value) || 0;
-            
-            // Sync main controls
-            document.getElementById('minPA').value = minPA;
-            document.getElementById('minIP').value = minIP;
-            
-            // Apply filters
+        // Set the controls from the URL hash, then filter
+        function loadFilters() {
+            const params = new URLSearchParams(location.hash.slice(1));
+            Object.keys(FILTER_DEFAULTS).forEach(name => {
+                const fallback = FILTER_DEFAULTS[name];
+                const value = typeof fallback === 'boolean'
+                    ? params.get(name) === '1'
+                    : (params.has(name) ? params.get(name) : fallback);
+                filterControls(name).forEach(control => setFilterControl(control, value));
+            });
             applyFilters();
         }
         
-        function resetFiltersFromFloating() {
-            resetFilters();
+        loadFilters();
+        
+        // Cell colors, in the URL hash as colors=league or colors=heat. "vs League Average"
+        // shades each rate cell (headers marked data-relative) by how far it sits from the
+        // league-average row of its table and stat window, red for better and blue for worse
+        // (lower is better where the column sorts ascending, like ERA), at full strength 25%
+        // away. The heat map shades every stat cell by the player's percentile among qualified
+        // players league-wide, as precomputed in player-stats.json.
+        const LEAGUE_COLOR_RANGE = 0.25;
+        let playerStatsLoading = null;
+        let heatPercentiles = null;
+        
+        function loadPlayerStats() {
+            if (!playerStatsLoading) {
+                playerStatsLoading = fetch('player-stats.json').then(response => response.json());
+            }
+            return playerStatsLoading;
+        }
+        ${HEAT_MAP_SCRIPT}        
+        function leagueColor(value, league, lowerIsBetter) {
+            if (isNaN(value) || isNaN(league) || league === 0) return '';
+            const diff = (lowerIsBetter ? league - value : value - league) / Math.abs(league);
+            const alpha = (Math.min(Math.abs(diff) / LEAGUE_COLOR_RANGE, 1) * 0.5).toFixed(2);
+            return diff > 0 ? 'rgba(214, 39, 40, ' + alpha + ')' : 'rgba(31, 119, 180, ' + alpha + ')';
+        }
+        
+        // Percentiles by row: 'batter:season:<id>' or 'pitcher:last7:<id>' -> { field: percentile }
+        function loadHeatPercentiles() {
+            if (!heatPercentiles) {
+                heatPercentiles = loadPlayerStats().then(data => {
+                    const byRow = {};
+                    [['batter', data.batters], ['pitcher', data.pitchers]].forEach(([type, players]) => {
+                        (players || []).forEach(player => {
+                            byRow[type + ':season:' + player.playerId] = player.percentiles;
+                            Object.entries(player.windows || {}).forEach(([key, line]) => {
+                                if (line) byRow[type + ':' + key + ':' + player.playerId] = line.percentiles;
+                            });
+                        });
+                    });
+                    return byRow;
+                });
+            }
+            return heatPercentiles;
         }
         
+        // Shade every table's cells with color(table, row, header, cell), or clear them
+        function shadeTables(color) {
+            document.querySelectorAll('.batter-table, .pitcher-table').forEach(table => {
+                const headers = Array.from(table.querySelectorAll('thead th'));
+                table.querySelectorAll('tr.data-row').forEach(row => {
+                    headers.forEach((th, i) => {
+                        if (row.children[i]) row.children[i].style.backgroundColor = color ? color(table, row, th, row.children[i]) : '';
+                    });
+                });
+            });
+        }
+        
+        function applyLeagueColors() {
+            shadeTables((table, row, th, cell) => {
+                const leagueRow = table.querySelector('tfoot .league-row[data-window="' + row.dataset.window + '"]');
+                if (!th.dataset.relative || !leagueRow || row === leagueRow) return '';
+                const league = parseFloat(leagueRow.children[cell.cellIndex].dataset.value);
+                return leagueColor(parseFloat(cell.dataset.value), league, th.dataset.default === 'asc');
+            });
+        }
+        
+        function applyHeatMap() {
+            loadHeatPercentiles().then(byRow => {
+                // The choice may have changed while the JSON loaded
+                if (document.getElementById('cellColors').value !== 'heat') return;
+                shadeTables((table, row, th, cell) => {
+                    const type = table.classList.contains('batter-table') ? 'batter' : 'pitcher';
+                    const percentiles = row.dataset.playerId && byRow[type + ':' + row.dataset.window + ':' + row.dataset.playerId];
+                    return percentiles && th.dataset.sort && th.dataset.sort !== 'name'
+                        ? heatColor(percentiles[th.dataset.field || th.dataset.sort])
+                        : '';
+                });
+            }).catch(error => console.error('Could not load percentiles for the heat map:', error));
+        }
+        
+        function applyCellColors(mode) {
+            document.getElementById('cellColors').value = mode;
+            if (mode === 'league') {
+                applyLeagueColors();
+            } else if (mode === 'heat') {
+                applyHeatMap();
+            } else {
+                shadeTables(null);
+            }
+        }
+        
+        function setCellColors(mode) {
+            applyCellColors(mode);
+            updateHash(params => {
+                if (mode) {
+                    params.set('colors', mode);
+                } else {
+                    params.delete('colors');
+                }
+            });
+        }
+        
+        function loadCellColors() {
+            const mode = new URLSearchParams(location.hash.slice(1)).get('colors');
+            applyCellColors(mode === 'league' || mode === 'heat' ? mode : '');
+        }
+        
+        loadCellColors();
+        ${PLAYER_SEARCH_SCRIPT}
+        // Scroll to a player's row (in his first team, for a traded player) and flash it.
+        // Filters hiding him are cleared first.
+        function showPlayerRow(id) {
+            const rows = Array.from(document.querySelectorAll('tr.data-row[data-player-id="' + id + '"]:not(.window-hidden)'));
+            if (rows.length === 0) return;
+            if (rows.every(row => row.classList.contains('hidden'))) resetFilters();
+            const row = rows[0];
+            row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            row.classList.add('search-highlight');
+            setTimeout(() => row.classList.remove('search-highlight'), 3000);
+        }
+        
+        // A link from the search card on the graphs page (#player=<id>) opens his card and row
+        function showLinkedPlayer() {
+            const id = parseInt(new URLSearchParams(location.hash.slice(1)).get('player'));
+            if (id) {
+                showPlayerById(id).then(player => {
+                    if (player) showPlayerRow(id);
+                });
+            }
+        }
+        
+        initPlayerSearch(loadPlayerStats, { onPick: player => showPlayerRow(player.id) });
+        showLinkedPlayer();
+        
         // Floating team selector functionality
         function populateTeamSelector() {
             const selector = document.getElementById('teamSelector');
@@ -1328,84 +2207,155 @@ async function generateHTML() {
             initializeSortableHeaders();
         });
         
-        // Table sorting functionality
+        // Table sorting. Every cell carries its raw value in data-value, so sorting never parses
+        // formatted text. A click sorts by that column (a second click reverses it); shift-click
+        // adds the column as a further sort key. Ties fall back to the table's default column and
+        // then the player's name, so equal rows always come out in the same order.
+        const tableSorts = new WeakMap();
+        
         function initializeSortableHeaders() {
             document.querySelectorAll('th.sortable').forEach(header => {
-                header.addEventListener('click', function() {
-                    sortTable(this);
+                header.addEventListener('click', function(event) {
+                    sortTable(this, event.shiftKey);
                 });
             });
         }
         
-        function sortTable(header) {
+        function columnIndex(header) {
+            return Array.from(header.parentElement.children).indexOf(header);
+        }
+        
+        // A cell's sort value: a number, text, or null when empty (empties always sort last)
+        function cellValue(row, index) {
+            const cell = row.children[index];
+            if (!cell) return null;
+            const raw = cell.dataset.value !== undefined ? cell.dataset.value : cell.textContent.trim();
+            if (raw === '') return null;
+            return isNaN(Number(raw)) ? raw : Number(raw);
+        }
+        
+        // Current sort keys of a table, [{ header, direction }], starting from its default column
+        function tableSort(table) {
+            if (!tableSorts.has(table)) {
+                const header = table.querySelector('th[data-sort-dir]');
+                tableSorts.set(table, header ? [{ header: header, direction: header.dataset.sortDir }] : []);
+            }
+            return tableSorts.get(table);
+        }
+        
+        // Mark the sorted headers: highlighted, with an arrow and (for several keys) their order
+        function showSortIndicators(table, keys) {
+            table.querySelectorAll('thead th').forEach(th => {
+                th.classList.remove('sorted');
+                delete th.dataset.sortDir;
+                delete th.dataset.sortRank;
+            });
+            keys.forEach((key, i) => {
+                key.header.classList.add('sorted');
+                key.header.dataset.sortDir = key.direction;
+                key.header.dataset.sortRank = keys.length > 1 ? String(i + 1) : '';
+            });
+        }
+        
+        function sortTable(header, addKey) {
             const table = header.closest('table');
             const tbody = table.querySelector('tbody');
-            const columnIndex = Array.from(header.parentElement.children).indexOf(header);
-            const sortKey = header.dataset.sort;
             const defaultDirection = header.dataset.default || 'desc';
+            const flip = direction => direction === 'asc' ? 'desc' : 'asc';
             
-            // Remove sorted class from all headers in this table
-            table.querySelectorAll('th.sorted').forEach(th => th.classList.remove('sorted'));
-            
-            // Add sorted class to clicked header
-            header.classList.add('sorted');
-            
-            // Determine sort direction
-            let isAscending;
-            if (header.dataset.currentDirection) {
-                // Toggle direction if already sorted
-                isAscending = header.dataset.currentDirection === 'desc';
+            let keys = tableSort(table);
+            const existing = keys.find(key => key.header === header);
+            if (addKey) {
+                // Shift-click: reverse a column that's already a key, or add it as the last key
+                if (existing) {
+                    existing.direction = flip(existing.direction);
+                } else {
+                    keys.push({ header: header, direction: defaultDirection });
+                }
+            } else if (existing && keys.length === 1) {
+                existing.direction = flip(existing.direction);
             } else {
-                // Use default direction for first click
-                isAscending = defaultDirection === 'asc';
+                keys = [{ header: header, direction: defaultDirection }];
             }
+            tableSorts.set(table, keys);
+            showSortIndicators(table, keys);
             
-            // Store current direction
-            header.dataset.currentDirection = isAscending ? 'asc' : 'desc';
+            const defaultHeader = table.querySelector('th[data-sort="' + table.dataset.defaultSort + '"]');
+            const sortKeys = keys.map(key => ({ index: columnIndex(key.header), direction: key.direction }));
+            if (defaultHeader) {
+                sortKeys.push({ index: columnIndex(defaultHeader), direction: defaultHeader.dataset.default || 'desc' });
+            }
+            sortKeys.push({ index: 0, direction: 'asc' });
             
-            // Get all rows (including hidden ones)
-            const rows = Array.from(tbody.querySelectorAll('tr'));
+            // Get all player rows (including hidden ones), remembering each one's split row
+            const rows = Array.from(tbody.children).filter(row => !row.classList.contains('split-row'));
+            const splitRows = new Map();
+            rows.forEach(row => {
+                const next = row.nextElementSibling;
+                if (next && next.classList.contains('split-row')) {
+                    splitRows.set(row, next);
+                }
+            });
             
-            // Sort rows
+            // Sort rows, key by key
             rows.sort((a, b) => {
-                const aCell = a.children[columnIndex];
-                const bCell = b.children[columnIndex];
-                
-                if (!aCell || !bCell) return 0;
-                
-                const aText = aCell.textContent.trim();
-                const bText = bCell.textContent.trim();
-                
-                // Convert to numbers for numeric columns
-                const aNum = parseFloat(aText.replace(/,/g, ''));
-                const bNum = parseFloat(bText.replace(/,/g, ''));
-                
-                let comparison = 0;
-                
-                if (!isNaN(aNum) && !isNaN(bNum)) {
-                    // Numeric comparison
-                    comparison = aNum - bNum;
-                } else {
-                    // Text comparison
-                    comparison = aText.localeCompare(bText);
+                for (const key of sortKeys) {
+                    const aValue = cellValue(a, key.index);
+                    const bValue = cellValue(b, key.index);
+                    if (aValue === bValue) continue;
+                    if (aValue === null) return 1;
+                    if (bValue === null) return -1;
+                    
+                    const comparison = typeof aValue === 'number' && typeof bValue === 'number'
+                        ? aValue - bValue
+                        : String(aValue).localeCompare(String(bValue));
+                    if (comparison !== 0) {
+                        return key.direction === 'asc' ? comparison : -comparison;
+                    }
                 }
-                
-                return isAscending ? comparison : -comparison;
+                return 0;
             });
             
-            // Re-append sorted rows
-            rows.forEach(row => tbody.appendChild(row));
+            // Re-append sorted rows, each followed by its split row
+            rows.forEach(row => {
+                tbody.appendChild(row);
+                if (splitRows.has(row)) {
+                    tbody.appendChild(splitRows.get(row));
+                }
+            });
         }
     </script>
 </body>
 </html>`;
     
-    fs.writeFileSync('player_stats.html', html);
-    console.log('Generated player_stats.html successfully!');
+    writeSeasonFile(options, season, 'player_stats.html', renderPage);
     
     // Write the JSON file for leaderboards
-    fs.writeFileSync('player-stats.json', JSON.stringify(playerStatsJson, null, 2));
-    console.log('Generated player-stats.json successfully!');
+    writeSeasonFile(options, season, 'player-stats.json', () => JSON.stringify(playerStatsJson, null, 2));
+    writeSeasonFile(options, season, 'player-stats.schema.json', () => JSON.stringify(playerStatsSchema(), null, 2));
+    writeSeasonIndex(options, season);
+    
+    // A profile page for everyone in the JSON, with his career from the Stats API
+    console.log('Fetching career stats for player pages...');
+    const careers = await fetchPeopleCareerStats(api, [...new Set(allBatters.concat(allPitchers).map(player => player.playerId))]);
+    const pageCount = writePlayerPages(options, playerStatsJson, careers);
+    console.log(`Wrote ${pageCount} player pages`);
+    
+    // Add today's batters and pitchers to the season's history (backfills have no "today")
+    if (!options.archiveOnly) {
+        recordPlayerSnapshot(options, season, runDate, playerStatsJson, statLines);
+    }
+    
+    api.logSummary();
+    return playerStatsJson;
 }
 
-generateHTML().catch(console.error);
+module.exports = { generateHTML };
+
+if (require.main === module) {
+    // Fail the process (and the scheduled workflow) on any error, so nothing half-built gets committed
+    generateHTML().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
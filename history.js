@@ -0,0 +1,235 @@
+// Daily snapshots of team and player stats, kept as a compact time series.
+//
+// Each run adds (or replaces) one dated snapshot per team, batter and pitcher in
+// history/<season>/{teams,batters,pitchers}.json under the output directory, and the
+// day's league constants in league.json. Player snapshots keep only the counting stats
+// and team; getPlayerTrajectory works the rates out again on the way back out.
+// Files are columnar to stay small:
+//
+//   {
+//     "version": 1,
+//     "season": 2025,
+//     "fields": ["w", "l", "rs", ...],
+//     "dates": ["2025-07-14", "2025-07-15"],
+//     "entities": { "147": [[0, 55, 40, 480, ...], [1, 56, 40, 485, ...]] }
+//   }
+//
+// where each row is [index into dates, ...values in fields order].
+
+const fs = require('fs');
+const path = require('path');
+const { writeOutputFile } = require('./output');
+const { columnsJson } = require('./columns');
+
+const HISTORY_DIR = 'history';
+const HISTORY_VERSION = 1;
+
+// Team fields kept from generate-graphs.js teamData
+const TEAM_FIELDS = ['abbreviation', 'w', 'l', 'gb', 'wcGb', 'rs', 'ra', 'gamesPlayed', 'pythVar', 'obp', 'iso', 'fip', 'der'];
+
+// Stats API season-line fields kept per player: the counting stats every column in the
+// registry is worked out from. A field a new formula reads has to be added here too.
+const PLAYER_STAT_FIELDS = {
+    batters: ['gamesPlayed', 'atBats', 'runs', 'hits', 'doubles', 'triples', 'homeRuns', 'rbi', 'baseOnBalls',
+        'intentionalWalks', 'hitByPitch', 'sacFlies', 'strikeOuts', 'stolenBases', 'caughtStealing', 'groundOuts', 'airOuts'],
+    pitchers: ['gamesPlayed', 'gamesStarted', 'wins', 'losses', 'saves', 'inningsPitched', 'battersFaced', 'atBats',
+        'hits', 'runs', 'earnedRuns', 'homeRuns', 'baseOnBalls', 'intentionalWalks', 'hitByPitch', 'sacFlies',
+        'strikeOuts', 'groundOuts', 'airOuts']
+};
+
+// Team and formula context kept alongside: park factor and position go into wRC+ and WAR
+const PLAYER_CONTEXT_FIELDS = {
+    batters: ['teamAbbr', 'position', 'parkFactor'],
+    pitchers: ['teamAbbr']
+};
+
+function historyFile(season, group) {
+    return `${HISTORY_DIR}/${season}/${group}.json`;
+}
+
+// Date of a run as YYYY-MM-DD in US Eastern time, matching the page timestamps
+function snapshotDate(runDate) {
+    return runDate.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+// Round floats so the store doesn't carry 16 digits of noise
+function compactValue(value) {
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        return Math.round(value * 10000) / 10000;
+    }
+    return value === undefined ? null : value;
+}
+
+// Games back arrives as "-" or "2.5"
+function parseGamesBack(gb) {
+    const value = parseFloat(gb);
+    return isNaN(value) ? 0 : value;
+}
+
+// Load a history file as { season, series: { id: { date: { field: value } } } }
+function loadHistory(options, season, group) {
+    const file = path.join(options.outDir || '.', historyFile(season, group));
+    const series = {};
+    if (!fs.existsSync(file)) return { season, series };
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [id, rows] of Object.entries(data.entities)) {
+        series[id] = {};
+        for (const [dateIndex, ...values] of rows) {
+            const snapshot = {};
+            data.fields.forEach((field, i) => {
+                snapshot[field] = values[i] === undefined ? null : values[i];
+            });
+            series[id][data.dates[dateIndex]] = snapshot;
+        }
+    }
+    return { season, series };
+}
+
+// Encode { season, series } back into the columnar file format
+function encodeHistory(history) {
+    const fieldSet = new Set();
+    const dateSet = new Set();
+    for (const byDate of Object.values(history.series)) {
+        for (const [date, snapshot] of Object.entries(byDate)) {
+            dateSet.add(date);
+            Object.keys(snapshot).forEach(field => fieldSet.add(field));
+        }
+    }
+
+    const fields = [...fieldSet];
+    const dates = [...dateSet].sort();
+    const dateIndex = new Map(dates.map((date, i) => [date, i]));
+    const entities = {};
+    for (const [id, byDate] of Object.entries(history.series)) {
+        entities[id] = Object.keys(byDate).sort().map(date =>
+            [dateIndex.get(date), ...fields.map(field => compactValue(byDate[date][field]))]);
+    }
+
+    return { version: HISTORY_VERSION, season: history.season, fields, dates, entities };
+}
+
+// Add one snapshot per entity for the given date, replacing any earlier snapshot from that date
+function recordSnapshot(options, season, group, date, snapshots) {
+    const history = loadHistory(options, season, group);
+    for (const [id, snapshot] of Object.entries(snapshots)) {
+        if (!history.series[id]) history.series[id] = {};
+        history.series[id][date] = snapshot;
+    }
+    writeOutputFile(options, historyFile(season, group), JSON.stringify(encodeHistory(history)));
+}
+
+// Snapshot generate-graphs.js teamData (keyed by team id)
+function recordTeamSnapshot(options, season, runDate, teamData) {
+    const snapshots = {};
+    for (const [teamId, team] of Object.entries(teamData)) {
+        const snapshot = {};
+        for (const field of TEAM_FIELDS) {
+            snapshot[field] = field === 'gb' || field === 'wcGb' ? parseGamesBack(team[field]) : team[field];
+        }
+        snapshots[teamId] = snapshot;
+    }
+    recordSnapshot(options, season, 'teams', snapshotDate(runDate), snapshots);
+}
+
+// Snapshot the batters and pitchers from player-stats.json (keyed by playerId), with their
+// Stats API season lines from statLines: { batters: { playerId: { stats, parkFactor } }, pitchers: ... }.
+// Multi-team players carry the same season line on every team, so they're stored
+// once with teamAbbr joined ("NYY/LAD"). The league constants go in league.json.
+function recordPlayerSnapshot(options, season, runDate, playerStats, statLines) {
+    const date = snapshotDate(runDate);
+    for (const group of ['batters', 'pitchers']) {
+        const snapshots = {};
+        for (const player of playerStats[group]) {
+            const existing = snapshots[player.playerId];
+            if (existing) {
+                existing.teamAbbr += `/${player.teamAbbr}`;
+                continue;
+            }
+            const line = statLines[group][player.playerId];
+            const snapshot = {};
+            for (const field of PLAYER_CONTEXT_FIELDS[group]) {
+                snapshot[field] = field === 'parkFactor' ? line.parkFactor : player[field];
+            }
+            for (const field of PLAYER_STAT_FIELDS[group]) {
+                snapshot[field] = line.stats[field];
+            }
+            snapshots[player.playerId] = snapshot;
+        }
+        recordSnapshot(options, season, group, date, snapshots);
+    }
+    recordSnapshot(options, season, 'league', date, { constants: playerStats.constants });
+}
+
+// A stored player snapshot as player-stats.json fields, rates worked out again with that
+// day's league constants. Snapshots from before the store kept only counting stats
+// already carry the fields and come back as they are.
+function derivePlayerStats(group, snapshot, constants) {
+    const stats = {};
+    for (const field of PLAYER_STAT_FIELDS[group]) {
+        if (snapshot[field] !== null && snapshot[field] !== undefined) stats[field] = snapshot[field];
+    }
+    if (!constants || Object.keys(stats).length === 0) return snapshot;
+
+    const derived = { date: snapshot.date };
+    for (const field of PLAYER_CONTEXT_FIELDS[group]) {
+        if (field !== 'parkFactor') derived[field] = snapshot[field];
+    }
+    const context = { constants, parkFactor: snapshot.parkFactor || 100, position: snapshot.position, person: {} };
+    return { ...derived, ...columnsJson(group === 'batters' ? 'batter' : 'pitcher', stats, context) };
+}
+
+// Snapshots for one entity between two dates (inclusive, YYYY-MM-DD), oldest first
+function trajectory(options, season, group, id, from, to) {
+    const { series } = loadHistory(options, season, group);
+    const byDate = series[id] || {};
+    return Object.keys(byDate)
+        .filter(date => (!from || date >= from) && (!to || date <= to))
+        .sort()
+        .map(date => ({ date, ...byDate[date] }));
+}
+
+// Season a query falls in: explicit, else the year of the from/to date, else the current season
+function querySeason(from, to, options) {
+    if (options.season) return parseInt(options.season);
+    const date = from || to || snapshotDate(new Date());
+    return parseInt(date.slice(0, 4));
+}
+
+// A team's snapshots between two dates. teamId may also be an abbreviation ("NYY").
+// options: { season, outDir }
+function getTeamTrajectory(teamId, from, to, options = {}) {
+    const season = querySeason(from, to, options);
+    let id = String(teamId);
+    if (!/^\d+$/.test(id)) {
+        const { series } = loadHistory(options, season, 'teams');
+        const match = Object.entries(series).find(([, byDate]) =>
+            Object.values(byDate).some(snapshot => String(snapshot.abbreviation).toUpperCase() === id.toUpperCase()));
+        if (!match) return [];
+        id = match[0];
+    }
+    return trajectory(options, season, 'teams', id, from, to);
+}
+
+// A player's batting and pitching snapshots between two dates.
+// options: { season, outDir }
+function getPlayerTrajectory(playerId, from, to, options = {}) {
+    const season = querySeason(from, to, options);
+    const constants = loadHistory(options, season, 'league').series.constants || {};
+    const derived = group => trajectory(options, season, group, String(playerId), from, to)
+        .map(snapshot => derivePlayerStats(group, snapshot, constants[snapshot.date]));
+    return {
+        batting: derived('batters'),
+        pitching: derived('pitchers')
+    };
+}
+
+module.exports = {
+    HISTORY_DIR,
+    snapshotDate,
+    loadHistory,
+    recordTeamSnapshot,
+    recordPlayerSnapshot,
+    getTeamTrajectory,
+    getPlayerTrajectory
+};
@@ -0,0 +1,164 @@
+// Shared MLB Stats API client for generate-stats.js and generate-graphs.js.
+// Requests run through a bounded concurrency pool and a token-bucket rate
+// limiter. 429/5xx responses, network errors and timeouts are retried with
+// exponential backoff, and calls that still fail are kept for a run summary.
+// An optional response cache (see response-cache.js) is consulted before any
+// request is queued.
+
+const fetch = require('node-fetch');
+
+const API_BASE = 'https://statsapi.mlb.com/api/v1';
+
+const DEFAULT_OPTIONS = {
+    concurrency: 8,         // requests in flight at once
+    requestsPerSecond: 10,  // token refill rate
+    burst: 10,              // token bucket capacity
+    retries: 4,             // attempts after the first one
+    backoffMs: 500,         // first retry delay, doubled on each attempt
+    timeoutMs: 15000,       // per-request timeout
+    cache: null             // response cache from createResponseCache()
+};
+
+class ApiError extends Error {
+    constructor(message, url, status) {
+        super(message);
+        this.name = 'ApiError';
+        this.url = url;
+        this.status = status;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+// Retry-After may be given in seconds or as an HTTP date
+function parseRetryAfter(response) {
+    const header = response.headers && response.headers.get ? response.headers.get('retry-after') : null;
+    if (!header) return 0;
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+function createApiClient(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const queue = [];
+    let active = 0;
+    let tokens = config.burst;
+    let lastRefill = Date.now();
+    const cache = config.cache;
+    const summary = { requests: 0, retries: 0, cacheHits: 0, failures: [] };
+
+    // Wait until the token bucket has a token, then take it
+    async function takeToken() {
+        for (;;) {
+            const now = Date.now();
+            tokens = Math.min(config.burst, tokens + (now - lastRefill) / 1000 * config.requestsPerSecond);
+            lastRefill = now;
+            if (tokens >= 1) {
+                tokens -= 1;
+                return;
+            }
+            await sleep(Math.ceil((1 - tokens) / config.requestsPerSecond * 1000));
+        }
+    }
+
+    // Run queued tasks while there are free slots in the pool
+    function drain() {
+        while (active < config.concurrency && queue.length > 0) {
+            const { task, resolve, reject } = queue.shift();
+            active++;
+            task()
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    drain();
+                });
+        }
+    }
+
+    function schedule(task) {
+        return new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            drain();
+        });
+    }
+
+    async function request(url) {
+        let lastError = null;
+        let retryAfterMs = 0;
+
+        for (let attempt = 0; attempt <= config.retries; attempt++) {
+            if (attempt > 0) {
+                summary.retries++;
+                const backoff = config.backoffMs * Math.pow(2, attempt - 1);
+                const jitter = Math.random() * backoff * 0.5;
+                await sleep(Math.max(backoff + jitter, retryAfterMs));
+            }
+
+            await takeToken();
+            summary.requests++;
+
+            try {
+                const response = await fetch(url, { timeout: config.timeoutMs });
+                if (response.ok) {
+                    return await response.json();
+                }
+
+                lastError = new ApiError(`HTTP ${response.status} ${response.statusText}`, url, response.status);
+                if (!isRetryableStatus(response.status)) break;
+                retryAfterMs = parseRetryAfter(response);
+            } catch (error) {
+                // Network errors, timeouts and malformed JSON are all retried
+                lastError = new ApiError(error.message, url, null);
+                retryAfterMs = 0;
+            }
+        }
+
+        summary.failures.push({ url, status: lastError.status, message: lastError.message });
+        throw lastError;
+    }
+
+    // Fetch a Stats API path (e.g. "/teams?sportId=1") and return the parsed JSON
+    async function get(path) {
+        const url = `${API_BASE}${path}`;
+
+        if (cache) {
+            const cached = cache.get(url);
+            if (cached !== undefined) {
+                summary.cacheHits++;
+                return cached;
+            }
+            if (cache.mode === 'replay') {
+                const error = new ApiError('Not in response cache (replay mode)', url, null);
+                summary.failures.push({ url, status: null, message: error.message });
+                throw error;
+            }
+        }
+
+        const body = await schedule(() => request(url));
+        if (cache) cache.set(url, body);
+        return body;
+    }
+
+    function logSummary() {
+        console.log(`API summary: ${summary.requests} requests, ${summary.cacheHits} cache hits, ${summary.retries} retries, ${summary.failures.length} failed calls`);
+        for (const failure of summary.failures) {
+            console.log(`  Failed: ${failure.url} (${failure.status || 'no response'}: ${failure.message})`);
+        }
+    }
+
+    return { get, logSummary, summary };
+}
+
+module.exports = {
+    API_BASE,
+    ApiError,
+    createApiClient
+};
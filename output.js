@@ -0,0 +1,40 @@
+// Writing generated pages and data files, shared by both generators.
+
+const fs = require('fs');
+const path = require('path');
+
+// Write one output file into options.outDir (default: current directory).
+// With options.dryRun nothing is written; the would-be path and size are logged.
+function writeOutputFile(options, filename, contents) {
+    const outDir = options.outDir || '.';
+    const file = path.join(outDir, filename);
+
+    if (options.dryRun) {
+        console.log(`Dry run: would write ${file} (${Buffer.byteLength(contents)} bytes)`);
+        return file;
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    console.log(`Generated ${file} successfully!`);
+    return file;
+}
+
+// Read a file previously written to options.outDir
+function readOutputFile(options, filename) {
+    return fs.readFileSync(path.join(options.outDir || '.', filename), 'utf8');
+}
+
+// Parse a team filter ("NYY,BOS" or ['NYY', 'BOS']) into upper-case abbreviations, or null for all teams
+function parseTeamFilter(teams) {
+    if (!teams) return null;
+    const list = Array.isArray(teams) ? teams : String(teams).split(',');
+    const abbreviations = list.map(t => t.trim().toUpperCase()).filter(Boolean);
+    return abbreviations.length > 0 ? abbreviations : null;
+}
+
+module.exports = {
+    writeOutputFile,
+    readOutputFile,
+    parseTeamFilter
+};
@@ -0,0 +1,61 @@
+// Run park factors by team abbreviation, on the 100 = neutral scale.
+//
+// These are approximate multi-year "basic" factors (already halved for the road
+// games a team plays elsewhere), so they apply directly to a season line. Refresh
+// them in the off-season; a team that's missing (a new abbreviation or a move)
+// falls back to neutral.
+
+const PARK_FACTORS = {
+    AZ: 101,
+    ATH: 100,
+    ATL: 100,
+    BAL: 99,
+    BOS: 104,
+    CHC: 99,
+    CIN: 105,
+    CLE: 98,
+    COL: 112,
+    CWS: 100,
+    DET: 98,
+    HOU: 99,
+    KC: 102,
+    LAA: 101,
+    LAD: 100,
+    MIA: 97,
+    MIL: 99,
+    MIN: 100,
+    NYM: 96,
+    NYY: 100,
+    OAK: 96,
+    PHI: 102,
+    PIT: 99,
+    SD: 95,
+    SEA: 94,
+    SF: 97,
+    STL: 98,
+    TB: 97,
+    TEX: 101,
+    TOR: 100,
+    WSH: 100
+};
+
+const NEUTRAL_PARK_FACTOR = 100;
+
+// Park factor for a team abbreviation
+function getParkFactor(abbreviation) {
+    return PARK_FACTORS[abbreviation] || NEUTRAL_PARK_FACTOR;
+}
+
+// Park factor for a player listed on several teams: the average of their parks
+function getCombinedParkFactor(abbreviations) {
+    if (abbreviations.length === 0) return NEUTRAL_PARK_FACTOR;
+    const total = abbreviations.reduce((sum, abbreviation) => sum + getParkFactor(abbreviation), 0);
+    return total / abbreviations.length;
+}
+
+module.exports = {
+    PARK_FACTORS,
+    NEUTRAL_PARK_FACTOR,
+    getParkFactor,
+    getCombinedParkFactor
+};
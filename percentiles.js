@@ -0,0 +1,96 @@
+// League percentiles for player-stats.json, and the heat map that shades table cells by them.
+//
+// Every stat in the registry gets a percentile against the league's qualified players (the
+// leaderboards' "Qualified only" rule), for the season line and each rolling window. The
+// team tables, the leaderboards and the player pages all read them from the JSON.
+
+const { COLUMNS, jsonField } = require('./columns');
+const { calculatePercentile } = require('./stats-math');
+
+// One entry per player (traded players are listed once per team with the same line)
+function uniquePlayers(entries) {
+    const seen = new Set();
+    return entries.filter(entry => !seen.has(entry.playerId) && seen.add(entry.playerId));
+}
+
+// Team games so far, estimated as the leaderboards do: the average games of the 30
+// batters who've played the most
+function estimateTeamGames(batters) {
+    const mostGames = [...batters].sort((a, b) => b.g - a.g).slice(0, 30);
+    if (mostGames.length === 0) return 0;
+    return mostGames.reduce((sum, player) => sum + player.g, 0) / mostGames.length;
+}
+
+// Qualified players, by the leaderboards' rule: 3.1 PA per team game for batters, 1 IP for pitchers
+function qualifiedPlayers(players, type, teamGames) {
+    if (teamGames === 0) return [];
+    return type === 'batter'
+        ? players.filter(player => player.pa >= Math.round(teamGames * 3.1))
+        : players.filter(player => player.ip >= Math.round(teamGames));
+}
+
+// Registry columns that get a percentile: every sortable number in the JSON
+function percentileColumns(type) {
+    return COLUMNS[type].filter(column => column.sort && !column.text && column.json !== false);
+}
+
+// Percentiles for each line against the qualified lines, as { field: percentile }. High is
+// always good: stats where lower is better (ERA, hits allowed) are flipped.
+function percentilesFor(type, lines, qualified) {
+    const pools = percentileColumns(type).map(column => ({
+        field: jsonField(column),
+        lowerIsBetter: column.sort === 'asc' || Boolean(column.worse),
+        values: qualified.map(line => line[jsonField(column)]).filter(value => typeof value === 'number')
+    }));
+    return lines.map(line => {
+        const percentiles = {};
+        for (const pool of pools) {
+            if (typeof line[pool.field] === 'number' && pool.values.length > 0) {
+                percentiles[pool.field] = calculatePercentile(line[pool.field], pool.values, pool.lowerIsBetter);
+            }
+        }
+        return percentiles;
+    });
+}
+
+// Add percentiles to every batter and pitcher in player-stats.json: entry.percentiles for the
+// season and entry.windows[key].percentiles for each rolling window, each against that
+// stretch's qualified players. The season's qualified counts go in json.qualified.
+function addPercentiles(playerStatsJson) {
+    const windowKeys = Object.keys(playerStatsJson.windowRanges || {});
+    playerStatsJson.qualified = {};
+    for (const key of ['season', ...windowKeys]) {
+        const lineOf = entry => key === 'season' ? entry : entry.windows && entry.windows[key];
+        const linesOf = entries => entries.map(lineOf).filter(Boolean);
+        const teamGames = estimateTeamGames(linesOf(uniquePlayers(playerStatsJson.batters)));
+        for (const [type, entries] of [['batter', playerStatsJson.batters], ['pitcher', playerStatsJson.pitchers]]) {
+            const lines = linesOf(entries);
+            const qualified = qualifiedPlayers(linesOf(uniquePlayers(entries)), type, teamGames);
+            percentilesFor(type, lines, qualified).forEach((percentiles, i) => {
+                lines[i].percentiles = percentiles;
+            });
+            if (key === 'season') {
+                playerStatsJson.qualified[`${type}s`] = qualified.length;
+            }
+        }
+    }
+    return playerStatsJson;
+}
+
+// Client-side shading shared by player_stats.html and index.html: heatColor(percentile) is a
+// cell background, blue at the bottom of the league through white at 50 to red at the top
+const HEAT_MAP_SCRIPT = `
+        function heatColor(percentile) {
+            if (typeof percentile !== 'number') return '';
+            const alpha = (Math.abs(percentile - 50) / 50 * 0.55).toFixed(2);
+            return percentile >= 50 ? 'rgba(214, 39, 40, ' + alpha + ')' : 'rgba(31, 119, 180, ' + alpha + ')';
+        }
+`;
+
+module.exports = {
+    uniquePlayers,
+    estimateTeamGames,
+    qualifiedPlayers,
+    addPercentiles,
+    HEAT_MAP_SCRIPT
+};
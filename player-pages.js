@@ -0,0 +1,412 @@
+// Profile pages: players/<id>.html for every player in player-stats.json.
+//
+// A page has the player's bio, his season line with every column in the registry,
+// his stints when he's played for more than one team this season, percentile bars
+// against the league's qualified players (from the JSON's precomputed percentiles), and
+// his year-by-year MLB career.
+
+const { COLUMNS, jsonField, formatJsonValue } = require('./columns');
+const { writeSeasonFile } = require('./season-archive');
+const { teamPagePath } = require('./team-pages');
+
+const PLAYER_DIR = 'players';
+
+// Stats with percentile bars, by JSON field; labels and which way is better come from the registry
+const PERCENTILE_STATS = {
+    batter: ['wrcPlus', 'woba', 'avg', 'obp', 'slg', 'iso', 'bbPct', 'kPct', 'sbPct', 'war'],
+    pitcher: ['era', 'fip', 'xfip', 'whip', 'kPct', 'bbPct', 'kbbPct', 'hr9', 'babip', 'war']
+};
+
+// Below this much playing time a player's bars would say little, so they're left off
+const PERCENTILE_MIN_PLAYING_TIME = { batter: 50, pitcher: 20 };
+
+// Registry columns in the year-by-year tables; these need no season constants
+const CAREER_COLUMNS = {
+    batter: ['g', 'pa', 'ab', 'r', 'h', 'doubles', 'triples', 'hr', 'rbi', 'sb', 'cs', 'bb', 'so', 'avg', 'obp', 'slg', 'ops'],
+    pitcher: ['w', 'l', 'era', 'g', 'gs', 'sv', 'ip', 'h', 'r', 'er', 'hr', 'bb', 'so', 'whip', 'kPct', 'bbPct']
+};
+
+const GROUPS = { batter: 'hitting', pitcher: 'pitching' };
+
+function playerPagePath(playerId) {
+    return `${PLAYER_DIR}/${playerId}.html`;
+}
+
+function findColumn(type, field) {
+    return COLUMNS[type].find(column => jsonField(column) === field);
+}
+
+// Blue for the bottom of the league through grey to red for the top
+function percentileColor(percentile) {
+    const blue = [54, 97, 173];
+    const grey = [170, 170, 170];
+    const red = [210, 45, 73];
+    const [from, to, t] = percentile < 50 ? [blue, grey, percentile / 50] : [grey, red, (percentile - 50) / 50];
+    return `rgb(${from.map((channel, i) => Math.round(channel + (to[i] - channel) * t)).join(', ')})`;
+}
+
+// qualifiedCount is the size of the pool the percentiles were taken against
+function renderPercentileBars(type, entry, qualifiedCount) {
+    const playingTime = type === 'batter' ? entry.pa : entry.ip;
+    if (!qualifiedCount || !entry.percentiles || playingTime < PERCENTILE_MIN_PLAYING_TIME[type]) return '';
+
+    const bars = PERCENTILE_STATS[type].map(field => {
+        const column = findColumn(type, field);
+        const percentile = entry.percentiles[field];
+        if (typeof percentile !== 'number') return '';
+        return `
+                <div class="percentile-row" title="${column.tooltip}">
+                    <span class="percentile-label">${column.header}</span>
+                    <span class="percentile-track"><span class="percentile-bar" style="width: ${Math.max(percentile, 2)}%; background-color: ${percentileColor(percentile)};"></span></span>
+                    <span class="percentile-value">${percentile}</span>
+                    <span class="percentile-stat">${formatJsonValue(column, entry[field])}</span>
+                </div>`;
+    }).join('');
+
+    return `
+            <h3>League Percentiles</h3>
+            <p class="note">Against the ${qualifiedCount} qualified ${type}s; 50 is the middle of the pack, and for stats where lower is better a high percentile still means good.</p>
+            <div class="percentiles">${bars}
+            </div>`;
+}
+
+// Every registry column in player-stats.json, as label/value tiles
+function renderSeasonLine(type, entry) {
+    const tiles = COLUMNS[type]
+        .filter(column => column.json !== false && entry[jsonField(column)] !== undefined)
+        .map(column => `
+                <div class="stat-tile" title="${column.tooltip}"><span class="stat-label">${column.header}</span><span class="stat-value">${formatJsonValue(column, entry[jsonField(column)])}</span></div>`)
+        .join('');
+    return `<div class="stat-grid">${tiles}
+            </div>`;
+}
+
+// Rows for a table of API stat lines, formatted through the registry columns
+function careerRow(type, label, stats, className = '') {
+    const cells = CAREER_COLUMNS[type].map(key => {
+        const column = COLUMNS[type].find(candidate => candidate.key === key);
+        return `<td>${formatJsonValue(column, column.value(stats, null))}</td>`;
+    });
+    return `
+                    <tr${className ? ` class="${className}"` : ''}>${label}${cells.join('')}</tr>`;
+}
+
+function careerHeader(type, firstHeaders) {
+    const headers = CAREER_COLUMNS[type].map(key => {
+        const column = COLUMNS[type].find(candidate => candidate.key === key);
+        return `<th title="${column.tooltip}">${column.header}</th>`;
+    });
+    return `<thead><tr>${firstHeaders}${headers.join('')}</tr></thead>`;
+}
+
+function teamLabel(split) {
+    return split.team ? split.team.name : `${split.numTeams || 2} Teams`;
+}
+
+// This season's per-team lines for a traded player, from the year-by-year splits
+function renderStints(type, group, season) {
+    const stints = group.seasons.filter(split => split.season === String(season) && split.team);
+    if (stints.length < 2) return '';
+    const rows = stints.map(split => careerRow(type, `<td class="text-cell">${split.team.name}</td>`, split.stat)).join('');
+    return `
+            <h3>${season} by Team</h3>
+            <div class="table-wrap">
+                <table>
+                    ${careerHeader(type, '<th class="text-cell">Team</th>')}
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>`;
+}
+
+// Year-by-year table with a career total row. A season he was traded in has a line
+// per team plus the combined line the API adds for it.
+function renderCareer(type, group) {
+    if (group.seasons.length === 0) return '';
+    const rows = group.seasons.map(split => careerRow(type,
+        `<td>${split.season}</td><td class="text-cell">${teamLabel(split)}</td>`,
+        split.stat, split.team ? '' : 'combined-row')).join('');
+    const total = group.career
+        ? careerRow(type, '<td colspan="2" class="text-cell">Career</td>', group.career, 'total-row')
+        : '';
+    return `
+            <h3>Career</h3>
+            <div class="table-wrap">
+                <table>
+                    ${careerHeader(type, '<th>Year</th><th class="text-cell">Team</th>')}
+                    <tbody>${rows}${total}
+                    </tbody>
+                </table>
+            </div>`;
+}
+
+function renderSection(type, entry, career, qualifiedCount, season) {
+    const group = career ? career[GROUPS[type]] : null;
+    return `
+        <div class="section">
+            <h2>${type === 'batter' ? 'Batting' : 'Pitching'}</h2>
+            ${renderSeasonLine(type, entry)}
+            ${renderPercentileBars(type, entry, qualifiedCount)}
+            ${group ? renderStints(type, group, season) : ''}
+            ${group ? renderCareer(type, group) : ''}
+        </div>`;
+}
+
+function renderBio(player, details) {
+    const facts = [];
+    const position = details.primaryPosition && details.primaryPosition.name;
+    facts.push(['Position', position || player.position]);
+    const hand = side => side ? side.description || side.code : '-';
+    if (details.batSide || details.pitchHand) {
+        facts.push(['Bats/Throws', `${hand(details.batSide)} / ${hand(details.pitchHand)}`]);
+    }
+    if (player.age) facts.push(['Age', player.age]);
+    if (details.birthDate) {
+        const place = [details.birthCity, details.birthStateProvince, details.birthCountry].filter(Boolean).join(', ');
+        facts.push(['Born', place ? `${details.birthDate} in ${place}` : details.birthDate]);
+    }
+    if (details.height) facts.push(['Height/Weight', `${details.height}${details.weight ? `, ${details.weight} lb` : ''}`]);
+    if (details.mlbDebutDate) facts.push(['MLB Debut', details.mlbDebutDate]);
+    facts.push(['Team', player.teams.map(team => `<a href="../${teamPagePath(team)}">${team}</a>`).join(', ')]);
+
+    return `<dl class="bio">${facts.map(([label, value]) => `
+            <dt>${label}</dt><dd>${value}</dd>`).join('')}
+        </dl>`;
+}
+
+function renderPlayerPage(player, career, playerStatsJson, rootPath) {
+    const season = playerStatsJson.season;
+    const qualified = playerStatsJson.qualified || {};
+    const details = career ? career.details : {};
+    const sections = [];
+    if (player.batter && (player.batter.pa > 0 || !player.pitcher)) {
+        sections.push(renderSection('batter', player.batter, career, qualified.batters, season));
+    }
+    if (player.pitcher) {
+        sections.push(renderSection('pitcher', player.pitcher, career, qualified.pitchers, season));
+    }
+    // Pitchers go first for players who are mainly pitchers
+    if (player.position === 'P') sections.reverse();
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${player.name} ${season} Stats - Baseball Graphs</title>
+    <link rel="icon" href="${rootPath}favicon.png">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        body {
+            font-family: Georgia, "Times New Roman", serif;
+            background-color: #F8F8FF;
+            padding: 20px;
+        }
+        .container {
+            max-width: 1100px;
+            margin: 0 auto;
+        }
+        .breadcrumb {
+            margin-bottom: 15px;
+            font-size: 1.1em;
+        }
+        a {
+            color: #2563eb;
+            text-decoration: none;
+        }
+        a:hover {
+            text-decoration: underline;
+            color: #1e40af;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+            padding: 25px;
+            background: linear-gradient(135deg, #8B4513, #CD853F, #8B4513);
+            color: white;
+            border-radius: 8px;
+            box-shadow: 0 3px 6px rgba(139, 69, 19, 0.3);
+        }
+        .header h1 {
+            font-size: 2.2em;
+            margin-bottom: 8px;
+        }
+        .section {
+            margin-bottom: 20px;
+            padding: 15px 20px;
+            background-color: white;
+            border: 2px solid #CD853F;
+            border-radius: 8px;
+        }
+        .section h2 {
+            color: #8B4513;
+            margin-bottom: 12px;
+            border-bottom: 2px solid #E8D5B7;
+            padding-bottom: 6px;
+        }
+        .section h3 {
+            color: #8B4513;
+            margin: 18px 0 8px;
+        }
+        .bio {
+            display: grid;
+            grid-template-columns: max-content 1fr;
+            gap: 6px 20px;
+        }
+        .bio dt {
+            font-weight: bold;
+            color: #8B4513;
+        }
+        .stat-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(80px, 1fr));
+            gap: 6px;
+        }
+        .stat-tile {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            padding: 6px 4px;
+            background-color: #FFF8DC;
+            border: 1px solid #E8D5B7;
+            border-radius: 4px;
+        }
+        .stat-label {
+            font-size: 0.8em;
+            color: #8B4513;
+            font-weight: bold;
+        }
+        .stat-value {
+            font-size: 1.1em;
+        }
+        .note {
+            font-size: 0.9em;
+            color: #666;
+            margin-bottom: 8px;
+        }
+        .percentiles {
+            max-width: 600px;
+        }
+        .percentile-row {
+            display: grid;
+            grid-template-columns: 60px 1fr 36px 60px;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 4px;
+        }
+        .percentile-label {
+            font-weight: bold;
+            color: #8B4513;
+        }
+        .percentile-track {
+            height: 14px;
+            background-color: #EEE;
+            border-radius: 7px;
+            overflow: hidden;
+        }
+        .percentile-bar {
+            display: block;
+            height: 100%;
+            border-radius: 7px;
+        }
+        .percentile-value {
+            text-align: right;
+            font-weight: bold;
+        }
+        .percentile-stat {
+            text-align: right;
+            color: #666;
+        }
+        .table-wrap {
+            overflow-x: auto;
+        }
+        table {
+            border-collapse: collapse;
+            width: 100%;
+            font-size: 0.9em;
+        }
+        th, td {
+            padding: 4px 6px;
+            text-align: right;
+            border-bottom: 1px solid #E8D5B7;
+            white-space: nowrap;
+        }
+        th {
+            background-color: #F5DEB3;
+            color: #8B4513;
+        }
+        .text-cell {
+            text-align: left;
+        }
+        .combined-row td {
+            font-style: italic;
+        }
+        .total-row td {
+            font-weight: bold;
+            border-top: 2px solid #CD853F;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="breadcrumb">
+            <a href="../player_stats.html#player=${player.playerId}">← Player Stats</a> &middot;
+            <a href="../index.html">Graphs &amp; Standings</a>
+        </div>
+
+        <div class="header">
+            <h1>${player.name}</h1>
+            <p>${season} Season - ${player.teams.join(', ')}</p>
+        </div>
+
+        <div class="section">
+            ${renderBio(player, details)}
+            <p class="note">More on <a href="https://baseballsavant.mlb.com/savant-player/${player.playerId}" target="_blank">Baseball Savant</a> and <a href="https://www.mlb.com/player/${player.playerId}" target="_blank">MLB.com</a>.</p>
+        </div>
+        ${sections.join('')}
+    </div>
+</body>
+</html>`;
+}
+
+// Each player in player-stats.json with his batting and pitching entries and all his teams
+function playersById(playerStatsJson) {
+    const players = new Map();
+    const add = (entry, type) => {
+        let player = players.get(entry.playerId);
+        if (!player) {
+            player = { playerId: entry.playerId, name: entry.name, age: entry.age, position: null, teams: [], batter: null, pitcher: null };
+            players.set(entry.playerId, player);
+        }
+        if (!player.teams.includes(entry.team)) player.teams.push(entry.team);
+        player[type] = player[type] || entry;
+        if (type === 'batter' && entry.position) player.position = entry.position;
+    };
+    playerStatsJson.batters.forEach(entry => add(entry, 'batter'));
+    playerStatsJson.pitchers.forEach(entry => add(entry, 'pitcher'));
+    for (const player of players.values()) {
+        if (!player.position) player.position = 'P';
+    }
+    return players;
+}
+
+// Write players/<id>.html for the season. careers: playerId -> { details, hitting, pitching }
+// from the year-by-year fetch; a player missing from it just gets no career tables.
+function writePlayerPages(options, playerStatsJson, careers) {
+    const players = playersById(playerStatsJson);
+    for (const player of players.values()) {
+        // Pages sit a level below the season's pages
+        writeSeasonFile(options, playerStatsJson.season, playerPagePath(player.playerId),
+            rootPath => renderPlayerPage(player, careers[player.playerId], playerStatsJson, `../${rootPath}`));
+    }
+    return players.size;
+}
+
+module.exports = {
+    playerPagePath,
+    writePlayerPages
+};
@@ -0,0 +1,332 @@
+// Player search box shared by index.html and player_stats.html.
+//
+// The box autocompletes names from player-stats.json; picking a player opens a
+// card with his season line, team(s), handedness and links. Each page says how
+// it gets the players (index.html already embeds them, player_stats.html fetches
+// the JSON on first use) and can add its own step on a pick, like jumping to his
+// row in the team tables.
+
+const PLAYER_SEARCH_STYLES = `
+        .player-search {
+            position: relative;
+            max-width: 520px;
+            margin: 0 auto 20px;
+        }
+
+        .player-search input[type="search"] {
+            width: 100%;
+            padding: 8px 12px;
+            font-size: 1em;
+            font-family: Georgia, "Times New Roman", serif;
+            border: 2px solid #CD853F;
+            border-radius: 6px;
+            background-color: white;
+        }
+
+        .player-search-results {
+            position: absolute;
+            top: 100%;
+            left: 0;
+            right: 0;
+            z-index: 1100;
+            margin: 2px 0 0;
+            padding: 0;
+            list-style: none;
+            background-color: white;
+            border: 1px solid #CD853F;
+            border-radius: 6px;
+            box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+        }
+
+        .player-search-results li {
+            padding: 6px 12px;
+            cursor: pointer;
+            display: flex;
+            justify-content: space-between;
+            gap: 10px;
+        }
+
+        .player-search-results li.active,
+        .player-search-results li:hover {
+            background-color: #FFF8DC;
+        }
+
+        .player-search-results .search-team {
+            color: #666;
+            font-size: 0.9em;
+        }
+
+        .player-card {
+            position: relative;
+            margin-top: 10px;
+            padding: 12px 15px;
+            background-color: white;
+            border: 2px solid #8B4513;
+            border-radius: 8px;
+            box-shadow: 0 2px 4px rgba(139, 69, 19, 0.15);
+            text-align: left;
+        }
+
+        .player-card h3 {
+            margin: 0 0 4px;
+            color: #8B4513;
+            font-size: 1.3em;
+        }
+
+        .player-card p {
+            margin: 4px 0;
+            font-size: 0.95em;
+        }
+
+        .player-card table {
+            width: 100%;
+            margin-top: 8px;
+            border-collapse: collapse;
+            font-size: 0.9em;
+        }
+
+        .player-card th,
+        .player-card td {
+            padding: 3px 4px;
+            text-align: center;
+            border-bottom: 1px solid #E8D5B7;
+        }
+
+        .player-card th {
+            color: #8B4513;
+        }
+
+        .player-card .player-card-close {
+            position: absolute;
+            top: 6px;
+            right: 8px;
+            padding: 2px 8px;
+            font-size: 1em;
+        }
+
+        .player-card a {
+            color: #2563eb;
+        }
+
+        tr.search-highlight > td {
+            background-color: #FFE4B5 !important;
+            transition: background-color 0.5s ease;
+        }
+`;
+
+// The search box and the (initially hidden) results list and card
+function renderPlayerSearch() {
+    return `<div class="player-search">
+            <input type="search" id="playerSearch" placeholder="Search for a player" aria-label="Search for a player" autocomplete="off"
+                oninput="updatePlayerSearch()" onfocus="loadSearchPlayers()" onkeydown="playerSearchKey(event)" onblur="setTimeout(closePlayerSearchResults, 150)">
+            <ul class="player-search-results" id="playerSearchResults" hidden></ul>
+            <div class="player-card" id="playerCard" hidden></div>
+        </div>`;
+}
+
+// Client-side search. The page calls initPlayerSearch(loadPlayers, options) after this:
+// loadPlayers() returns a promise of the player-stats.json contents, options.onPick(player)
+// runs after the card opens and options.tableLink adds a link to his row on player_stats.html.
+const PLAYER_SEARCH_SCRIPT = `
+        // Player search: one entry per player, merged across his teams and batting/pitching lines
+        const PLAYER_SEARCH_LIMIT = 8;
+        let searchPlayers = null;
+        let searchMatches = [];
+        let searchActive = -1;
+        let searchOptions = {};
+        let searchLoader = null;
+        let searchLoading = null;
+
+        function initPlayerSearch(loadPlayers, options) {
+            searchLoader = loadPlayers;
+            searchOptions = options || {};
+        }
+
+        // Lowercase without accents, so "acuna" finds Acuña
+        function searchKey(text) {
+            return text.normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').toLowerCase();
+        }
+
+        function escapeHtml(text) {
+            return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        }
+
+        function mergeSearchPlayers(data) {
+            const players = new Map();
+            const add = (entry, line) => {
+                let player = players.get(entry.playerId);
+                if (!player) {
+                    player = { id: entry.playerId, name: entry.name, key: searchKey(entry.name), age: entry.age, teams: [], batting: null, pitching: null };
+                    players.set(entry.playerId, player);
+                }
+                if (!player.teams.some(team => team.abbr === entry.teamAbbr)) {
+                    player.teams.push({ name: entry.team, abbr: entry.teamAbbr });
+                }
+                // A traded player is listed under each team with the same season line
+                player[line] = player[line] || entry;
+            };
+            (data.batters || []).forEach(entry => add(entry, 'batting'));
+            (data.pitchers || []).forEach(entry => add(entry, 'pitching'));
+            return Array.from(players.values());
+        }
+
+        // Load the players once, on first focus; later calls share the same promise
+        function loadSearchPlayers() {
+            if (!searchLoading) {
+                searchLoading = (searchLoader ? searchLoader() : Promise.resolve({})).then(data => {
+                    searchPlayers = mergeSearchPlayers(data);
+                    updatePlayerSearch();
+                    return searchPlayers;
+                }).catch(error => {
+                    console.error('Could not load players for search:', error);
+                    searchPlayers = [];
+                    return searchPlayers;
+                });
+            }
+            return searchLoading;
+        }
+
+        function playingTime(player) {
+            return (player.batting ? player.batting.pa || 0 : 0) + (player.pitching ? (player.pitching.ip || 0) * 3 : 0);
+        }
+
+        function positionLabel(player) {
+            if (player.batting && player.batting.position && player.batting.position !== 'P') return player.batting.position;
+            return player.pitching ? 'P' : '';
+        }
+
+        // Names starting with the query first, then a word starting with it, then anywhere;
+        // regulars before bench players within each
+        function findPlayers(query) {
+            const key = searchKey(query.trim());
+            if (!key || !searchPlayers) return [];
+            const rank = player => {
+                if (player.key.startsWith(key)) return 0;
+                if (player.key.split(/[\\s.'-]+/).some(word => word.startsWith(key)) || player.key.includes(' ' + key)) return 1;
+                return player.key.includes(key) ? 2 : -1;
+            };
+            return searchPlayers
+                .map(player => ({ player: player, rank: rank(player) }))
+                .filter(match => match.rank >= 0)
+                .sort((a, b) => a.rank - b.rank || playingTime(b.player) - playingTime(a.player))
+                .slice(0, PLAYER_SEARCH_LIMIT)
+                .map(match => match.player);
+        }
+
+        function updatePlayerSearch() {
+            const query = document.getElementById('playerSearch').value;
+            searchMatches = findPlayers(query);
+            searchActive = searchMatches.length > 0 ? 0 : -1;
+            renderPlayerSearchResults(query);
+        }
+
+        function renderPlayerSearchResults(query) {
+            const list = document.getElementById('playerSearchResults');
+            if (!query.trim() || !searchPlayers) {
+                list.hidden = true;
+                return;
+            }
+            list.innerHTML = searchMatches.length === 0
+                ? '<li>No players found</li>'
+                : searchMatches.map((player, i) =>
+                    '<li class="' + (i === searchActive ? 'active' : '') + '" onmousedown="pickSearchPlayer(' + i + ')">' +
+                    '<span>' + escapeHtml(player.name) + '</span>' +
+                    '<span class="search-team">' + player.teams.map(team => team.abbr).join('/') + ' ' + positionLabel(player) + '</span></li>').join('');
+            list.hidden = false;
+        }
+
+        function closePlayerSearchResults() {
+            document.getElementById('playerSearchResults').hidden = true;
+        }
+
+        function playerSearchKey(event) {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                if (searchMatches.length === 0) return;
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                searchActive = (searchActive + step + searchMatches.length) % searchMatches.length;
+                renderPlayerSearchResults(event.target.value);
+                event.preventDefault();
+            } else if (event.key === 'Enter' && searchActive >= 0) {
+                pickSearchPlayer(searchActive);
+                event.preventDefault();
+            } else if (event.key === 'Escape') {
+                closePlayerSearchResults();
+            }
+        }
+
+        function pickSearchPlayer(i) {
+            const player = searchMatches[i];
+            if (!player) return;
+            document.getElementById('playerSearch').value = player.name;
+            closePlayerSearchResults();
+            showPlayerCard(player);
+            if (searchOptions.onPick) searchOptions.onPick(player);
+        }
+
+        // Open the card for a player id, loading the players first if need be
+        function showPlayerById(id) {
+            return loadSearchPlayers().then(players => {
+                const player = players.find(candidate => candidate.id === id);
+                if (player) showPlayerCard(player);
+                return player;
+            });
+        }
+
+        function searchFormatRate(value) {
+            return value == null ? '-' : value.toFixed(3).replace(/^0/, '');
+        }
+
+        function searchFormatFixed(value, digits) {
+            return value == null ? '-' : value.toFixed(digits);
+        }
+
+        function statLineTable(headers, values) {
+            return '<table><thead><tr>' + headers.map(header => '<th>' + header + '</th>').join('') + '</tr></thead>' +
+                '<tbody><tr>' + values.map(value => '<td>' + value + '</td>').join('') + '</tr></tbody></table>';
+        }
+
+        function showPlayerCard(player) {
+            const card = document.getElementById('playerCard');
+            const hands = [];
+            if (player.batting && player.batting.batSide) hands.push('Bats ' + player.batting.batSide);
+            if (player.pitching && player.pitching.pitchHand) hands.push('Throws ' + player.pitching.pitchHand);
+            const meta = [player.age ? 'Age ' + player.age : '', positionLabel(player), hands.join(', ')].filter(Boolean);
+
+            let html = '<button class="player-card-close" onclick="closePlayerCard()" aria-label="Close">&times;</button>' +
+                '<h3>' + escapeHtml(player.name) + '</h3>' +
+                '<p>' + meta.join(' &middot; ') + '</p>' +
+                '<p>' + player.teams.map(team => escapeHtml(team.name)).join(', ') + '</p>';
+            const b = player.batting;
+            if (b && b.pa > 0) {
+                html += statLineTable(['PA', 'AVG', 'OBP', 'SLG', 'HR', 'RBI', 'SB', 'wRC+', 'WAR'],
+                    [b.pa, searchFormatRate(b.avg), searchFormatRate(b.obp), searchFormatRate(b.slg), b.hr, b.rbi, b.sb, b.wrcPlus, searchFormatFixed(b.war, 1)]);
+            }
+            const p = player.pitching;
+            if (p && p.ip > 0) {
+                html += statLineTable(['G', 'GS', 'W-L', 'SV', 'IP', 'ERA', 'FIP', 'K', 'BB', 'WAR'],
+                    [p.g, p.gs, p.w + '-' + p.l, p.sv, p.ip.toFixed(1), searchFormatFixed(p.era, 2), searchFormatFixed(p.fip, 2), p.so, p.bb, searchFormatFixed(p.war, 1)]);
+            }
+            const links = [
+                '<a href="players/' + player.id + '.html">Player page</a>',
+                '<a href="https://baseballsavant.mlb.com/savant-player/' + player.id + '" target="_blank">Baseball Savant</a>',
+                '<a href="https://www.mlb.com/player/' + player.id + '" target="_blank">MLB.com</a>'
+            ];
+            if (searchOptions.tableLink) {
+                links.push('<a href="' + searchOptions.tableLink + '#player=' + player.id + '">Team stats</a>');
+            }
+            html += '<p>' + links.join(' &middot; ') + '</p>';
+
+            card.innerHTML = html;
+            card.hidden = false;
+        }
+
+        function closePlayerCard() {
+            document.getElementById('playerCard').hidden = true;
+        }
+`;
+
+module.exports = {
+    PLAYER_SEARCH_STYLES,
+    renderPlayerSearch,
+    PLAYER_SEARCH_SCRIPT
+};
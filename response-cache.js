@@ -0,0 +1,81 @@
+// On-disk cache of Stats API responses, keyed by request URL.
+//
+// Modes:
+//   off     - no caching (default)
+//   record  - serve cached responses, fetch and save anything missing
+//   replay  - serve cached responses only; a miss is an error and nothing hits the network
+//   refresh - always fetch, overwriting the cached copy
+//
+// Each generator's run time is saved alongside the responses (clock.json), so a
+// replay reproduces the "Generated"/"Updated" timestamps and season choice exactly.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_MODES = ['off', 'record', 'replay', 'refresh'];
+const DEFAULT_CACHE_DIR = '.cache/http';
+const CLOCK_FILE = 'clock.json';
+
+function createResponseCache(mode = 'off', dir = DEFAULT_CACHE_DIR) {
+    if (!CACHE_MODES.includes(mode)) {
+        throw new Error(`Unknown cache mode "${mode}" (expected one of: ${CACHE_MODES.join(', ')})`);
+    }
+
+    if (mode !== 'off') {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    function fileFor(url) {
+        const key = crypto.createHash('sha1').update(url).digest('hex');
+        return path.join(dir, `${key}.json`);
+    }
+
+    // Cached body for a URL, or undefined when it should be fetched
+    function get(url) {
+        if (mode !== 'record' && mode !== 'replay') return undefined;
+        const file = fileFor(url);
+        if (!fs.existsSync(file)) return undefined;
+        return JSON.parse(fs.readFileSync(file, 'utf8')).body;
+    }
+
+    function set(url, body) {
+        if (mode !== 'record' && mode !== 'refresh') return;
+        fs.writeFileSync(fileFor(url), JSON.stringify({ url, body }));
+    }
+
+    function readClock() {
+        const file = path.join(dir, CLOCK_FILE);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+
+    // The Date a generator should treat as "now": the recorded time when
+    // replaying, otherwise the current time (saved when recording)
+    function runDate(name) {
+        if (mode === 'off') return new Date();
+
+        const clock = readClock();
+        if (mode === 'replay') {
+            return clock[name] ? new Date(clock[name]) : new Date();
+        }
+
+        const now = new Date();
+        clock[name] = now.toISOString();
+        fs.writeFileSync(path.join(dir, CLOCK_FILE), JSON.stringify(clock, null, 2));
+        return now;
+    }
+
+    return { mode, dir, get, set, runDate };
+}
+
+// Build the cache from STATS_CACHE_MODE / STATS_CACHE_DIR
+function cacheFromEnv() {
+    return createResponseCache(process.env.STATS_CACHE_MODE || 'off', process.env.STATS_CACHE_DIR || DEFAULT_CACHE_DIR);
+}
+
+module.exports = {
+    CACHE_MODES,
+    DEFAULT_CACHE_DIR,
+    createResponseCache,
+    cacheFromEnv
+};
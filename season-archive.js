@@ -0,0 +1,187 @@
+// Per-season archive of the generated pages.
+//
+// Every run writes its pages and data into seasons/<year>/ (under the output
+// directory) as well as the top level, so earlier seasons stay browsable after
+// a new one starts. seasons/index.html links every archived year, and each page
+// carries a season switcher that reloads its list from seasons/seasons.json, so pages
+// archived in earlier seasons still offer the ones added since. Archived copies sit two
+// levels down, so pages are rendered with a rootPath prefix ('' at the top level,
+// '../../' in the archive).
+
+const fs = require('fs');
+const path = require('path');
+const { writeOutputFile } = require('./output');
+
+const ARCHIVE_DIR = 'seasons';
+
+// Every archived year, newest first, as a JSON array; rewritten with seasons/index.html
+const SEASONS_FILE = 'seasons.json';
+
+function seasonDir(season) {
+    return `${ARCHIVE_DIR}/${season}`;
+}
+
+// Seasons that have an archive directory under options.outDir, newest first,
+// always including the season being generated now
+function listArchivedSeasons(options, currentSeason) {
+    const archiveRoot = path.join(options.outDir || '.', ARCHIVE_DIR);
+    const seasons = new Set(currentSeason ? [parseInt(currentSeason)] : []);
+
+    if (fs.existsSync(archiveRoot)) {
+        for (const entry of fs.readdirSync(archiveRoot, { withFileTypes: true })) {
+            if (entry.isDirectory() && /^\d{4}$/.test(entry.name)) {
+                seasons.add(parseInt(entry.name));
+            }
+        }
+    }
+
+    return [...seasons].sort((a, b) => b - a);
+}
+
+// Write a page for a season: always to seasons/<year>/, and to the top level
+// unless options.archiveOnly is set (backfills). render(rootPath) returns the contents.
+function writeSeasonFile(options, season, filename, render) {
+    writeOutputFile(options, `${seasonDir(season)}/${filename}`, render('../../'));
+    if (!options.archiveOnly) {
+        writeOutputFile(options, filename, render(''));
+    }
+}
+
+// Read a season's archived file, falling back to the top-level copy
+function readSeasonFile(options, season, filename) {
+    const outDir = options.outDir || '.';
+    const archived = path.join(outDir, seasonDir(season), filename);
+    return fs.readFileSync(fs.existsSync(archived) ? archived : path.join(outDir, filename), 'utf8');
+}
+
+// <select> that jumps to the same page in another archived season. It starts with the
+// seasons archived when the page was written, then swaps in the current list from
+// SEASONS_FILE (kept as is if that can't be fetched, e.g. when opened from disk).
+function renderSeasonSwitcher(seasons, currentSeason, filename, rootPath) {
+    const options = seasons.map(year => {
+        const selected = year === parseInt(currentSeason) ? ' selected' : '';
+        return `<option value="${rootPath}${seasonDir(year)}/${filename}"${selected}>${year}</option>`;
+    }).join('');
+
+    return `<div class="season-switcher">
+            <label for="seasonSwitcher">Season:</label>
+            <select id="seasonSwitcher" onchange="if (this.value) window.location.href = this.value;">${options}</select>
+            <a href="${rootPath}${ARCHIVE_DIR}/index.html">All seasons</a>
+            <script>
+                fetch('${rootPath}${ARCHIVE_DIR}/${SEASONS_FILE}')
+                    .then(response => response.ok ? response.json() : null)
+                    .then(seasons => {
+                        if (!Array.isArray(seasons) || seasons.length === 0) return;
+                        document.getElementById('seasonSwitcher').innerHTML = seasons.map(year =>
+                            '<option value="${rootPath}${ARCHIVE_DIR}/' + year + '/${filename}"' +
+                            (year === ${parseInt(currentSeason)} ? ' selected' : '') + '>' + year + '</option>').join('');
+                    })
+                    .catch(() => {});
+            </script>
+        </div>`;
+}
+
+// seasons/index.html: one row per archived year linking both pages
+function writeSeasonIndex(options, currentSeason) {
+    const seasons = listArchivedSeasons(options, currentSeason);
+    const rows = seasons.map(year => `
+                <tr>
+                    <td class="season-year">${year}</td>
+                    <td><a href="${year}/index.html">Graphs &amp; Standings</a></td>
+                    <td><a href="${year}/player_stats.html">Player Stats</a></td>
+                </tr>`).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Baseball Graphs Season Archive</title>
+    <link rel="icon" href="../favicon.png">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        body {
+            font-family: Georgia, "Times New Roman", serif;
+            background-color: #F8F8FF;
+            padding: 20px;
+        }
+        .container {
+            max-width: 960px;
+            margin: 0 auto;
+        }
+        .breadcrumb {
+            margin-bottom: 15px;
+            font-size: 1.1em;
+        }
+        a {
+            color: #2563eb;
+            text-decoration: none;
+        }
+        a:hover {
+            text-decoration: underline;
+            color: #1e40af;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+            padding: 25px;
+            background: linear-gradient(135deg, #8B4513, #CD853F, #8B4513);
+            color: white;
+            border-radius: 8px;
+            box-shadow: 0 3px 6px rgba(139, 69, 19, 0.3);
+        }
+        .header h1 {
+            font-size: 2.2em;
+            margin-bottom: 8px;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            background-color: white;
+            border: 2px solid #CD853F;
+            font-size: 1.1em;
+        }
+        td {
+            padding: 10px;
+            border-bottom: 1px solid #E8D5B7;
+        }
+        .season-year {
+            font-weight: bold;
+            color: #8B4513;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="breadcrumb">
+            <a href="../index.html">← Current Season</a>
+        </div>
+        <div class="header">
+            <h1>Season Archive</h1>
+            <p>Final and in-progress stats for every season we've published</p>
+        </div>
+        <table>
+            <tbody>${rows}
+            </tbody>
+        </table>
+    </div>
+</body>
+</html>`;
+
+    writeOutputFile(options, `${ARCHIVE_DIR}/index.html`, html);
+    writeOutputFile(options, `${ARCHIVE_DIR}/${SEASONS_FILE}`, JSON.stringify(seasons));
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    seasonDir,
+    listArchivedSeasons,
+    writeSeasonFile,
+    readSeasonFile,
+    renderSeasonSwitcher,
+    writeSeasonIndex
+};
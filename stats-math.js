@@ -0,0 +1,542 @@
+// Shared sabermetric formulas for generate-stats.js and generate-graphs.js.
+// Every function takes a raw MLB Stats API stat line (hitting or pitching)
+// and returns a plain number; formatting is left to the page generators.
+
+// FIP constant used until a league-derived value is supplied
+const FIP_CONSTANT = 3.10;
+
+// Replacement-level FIP used for FIPAR when the season can't supply one
+const REPLACEMENT_FIP = 6.00;
+
+// The replacement pool is every team's pitchers beyond its top REPLACEMENT_POOL_SKIP by
+// innings (the rotation and core bullpen); below REPLACEMENT_POOL_MIN_IP innings it's too small to use
+const REPLACEMENT_POOL_SKIP = 10;
+const REPLACEMENT_POOL_MIN_IP = 100;
+
+// Positional adjustments in runs per 162 games, keyed by position abbreviation (FanGraphs scale).
+// Two-way players are charged as designated hitters; a generic OF gets the outfield average.
+// Pitchers and unknown positions get no adjustment.
+const POSITIONAL_ADJUSTMENTS = {
+    C: 12.5,
+    SS: 7.5,
+    '2B': 2.5,
+    '3B': 2.5,
+    CF: 2.5,
+    OF: -4.2,
+    LF: -7.5,
+    RF: -7.5,
+    '1B': -12.5,
+    DH: -17.5,
+    TWP: -17.5
+};
+
+// Replacement level for hitters: runs a replacement player gives up per 600 PA
+const REPLACEMENT_RUNS_PER_600_PA = 20;
+
+// Convert innings pitched from baseball notation ("45.2" = 45 2/3) to true innings
+function parseInnings(inningsPitched) {
+    const ip = parseFloat(inningsPitched) || 0;
+    const whole = Math.trunc(ip);
+    const outs = Math.round((ip - whole) * 10);
+    return whole + outs / 3;
+}
+
+// Convert true innings back to baseball notation (45.6667 -> "45.2")
+function formatInnings(innings) {
+    const outs = Math.round(innings * 3);
+    return `${Math.floor(outs / 3)}.${outs % 3}`;
+}
+
+// Add up stat lines field by field; innings are added as outs and kept in baseball notation
+function sumStats(lines) {
+    const total = {};
+    let innings = 0;
+    for (const stats of lines) {
+        for (const [field, value] of Object.entries(stats)) {
+            if (typeof value === 'number') {
+                total[field] = (total[field] || 0) + value;
+            }
+        }
+        innings += parseInnings(stats.inningsPitched);
+    }
+    total.inningsPitched = formatInnings(innings);
+    return total;
+}
+
+// Average of stat lines over `count` teams (one per line by default): every field divided
+// and rounded to a whole number, innings to whole outs. Rates worked out from the result
+// match the summed lines' to within the rounding.
+function averageStats(lines, count = lines.length) {
+    const total = sumStats(lines);
+    if (count === 0) return total;
+    const average = {};
+    for (const [field, value] of Object.entries(total)) {
+        if (typeof value === 'number') {
+            average[field] = Math.round(value / count);
+        }
+    }
+    average.inningsPitched = formatInnings(Math.round(parseInnings(total.inningsPitched) * 3 / count) / 3);
+    return average;
+}
+
+// Singles (H - 2B - 3B - HR)
+function calculateSingles(stats) {
+    return (stats.hits || 0) - (stats.doubles || 0) - (stats.triples || 0) - (stats.homeRuns || 0);
+}
+
+// Total Bases
+function calculateTB(stats) {
+    return calculateSingles(stats) + 2 * (stats.doubles || 0) + 3 * (stats.triples || 0) + 4 * (stats.homeRuns || 0);
+}
+
+// Plate Appearances (AB + BB + HBP + SF)
+function calculatePA(stats) {
+    return (stats.atBats || 0) + (stats.baseOnBalls || 0) + (stats.hitByPitch || 0) + (stats.sacFlies || 0);
+}
+
+// Batting Average
+function calculateAVG(stats) {
+    const ab = stats.atBats || 0;
+    if (ab === 0) return 0;
+    return (stats.hits || 0) / ab;
+}
+
+// On-Base Percentage: (H + BB + HBP) / (AB + BB + HBP + SF)
+function calculateOBP(stats) {
+    const denominator = calculatePA(stats);
+    if (denominator === 0) return 0;
+    return ((stats.hits || 0) + (stats.baseOnBalls || 0) + (stats.hitByPitch || 0)) / denominator;
+}
+
+// Slugging Percentage
+function calculateSLG(stats) {
+    const ab = stats.atBats || 0;
+    if (ab === 0) return 0;
+    return calculateTB(stats) / ab;
+}
+
+// Isolated Power (SLG - AVG)
+function calculateISO(stats) {
+    return calculateSLG(stats) - calculateAVG(stats);
+}
+
+// Runs Created (OBP x TB)
+function calculateRC(stats) {
+    return calculateOBP(stats) * calculateTB(stats);
+}
+
+// Stolen base success rate: SB / (SB + CS)
+function calculateSBPct(stats) {
+    const attempts = (stats.stolenBases || 0) + (stats.caughtStealing || 0);
+    if (attempts === 0) return 0;
+    return (stats.stolenBases || 0) / attempts;
+}
+
+// Extra-base hit percentage: (2B + 3B + HR) / PA
+function calculateXBHPct(stats) {
+    const pa = calculatePA(stats);
+    if (pa === 0) return 0;
+    return ((stats.doubles || 0) + (stats.triples || 0) + (stats.homeRuns || 0)) / pa;
+}
+
+// Ground ball to fly ball ratio, from ground outs and air outs
+function calculateGBFB(stats) {
+    const airOuts = stats.airOuts || 0;
+    if (airOuts === 0) return 0;
+    return (stats.groundOuts || 0) / airOuts;
+}
+
+// Unintentional walks (BB - IBB)
+function calculateUBB(stats) {
+    return (stats.baseOnBalls || 0) - (stats.intentionalWalks || 0);
+}
+
+// Plate appearances counted by wOBA (AB + BB - IBB + HBP + SF)
+function calculateWOBAPA(stats) {
+    return (stats.atBats || 0) + calculateUBB(stats) + (stats.hitByPitch || 0) + (stats.sacFlies || 0);
+}
+
+// Season linear weights for wOBA from league batting totals, following the FanGraphs method:
+// each event's run value over an out, scaled so league wOBA equals league OBP (without IBB).
+// Stolen bases and caught stealing are included, as in The Book's original wOBA.
+// Returns the weights plus the league context wRAA, wRC+ and OPS+ need, or null without data.
+function calculateWOBAWeights(league) {
+    const h = league.hits || 0;
+    const ab = league.atBats || 0;
+    const sf = league.sacFlies || 0;
+    const hbp = league.hitByPitch || 0;
+    const ubb = calculateUBB(league);
+    const outs = ab - h + sf + (league.sacBunts || 0) + (league.caughtStealing || 0) + (league.groundIntoDoublePlay || 0);
+    const pa = calculateWOBAPA(league);
+    if (outs === 0 || pa === 0 || ab - h + sf === 0) return null;
+
+    // Run value of each event (Tango's approximations around the league run environment)
+    const runsPerOut = (league.runs || 0) / outs;
+    const runBB = runsPerOut + 0.14;
+    const runHBP = runBB + 0.025;
+    const run1B = runBB + 0.155;
+    const run2B = run1B + 0.3;
+    const run3B = run2B + 0.27;
+    const runHR = 1.4;
+    const runSB = 0.2;
+    const runCS = 2 * runsPerOut + 0.075;
+
+    const singles = calculateSingles(league);
+    const doubles = league.doubles || 0;
+    const triples = league.triples || 0;
+    const hr = league.homeRuns || 0;
+    const sb = league.stolenBases || 0;
+    const cs = league.caughtStealing || 0;
+
+    // Average run value of an out, measured against the events that avoid one
+    const eventRuns = runBB * ubb + runHBP * hbp + run1B * singles + run2B * doubles + run3B * triples + runHR * hr;
+    const runMinus = (eventRuns + runSB * sb - runCS * cs) / (ab - h + sf);
+
+    // Scale the values over an out so league wOBA lands on league OBP
+    const obp = (h + ubb + hbp) / pa;
+    const unscaled = eventRuns + runMinus * (ubb + hbp + h) + runSB * sb - runCS * cs;
+    const scale = obp * pa / unscaled;
+
+    return {
+        bb: (runBB + runMinus) * scale,
+        hbp: (runHBP + runMinus) * scale,
+        single: (run1B + runMinus) * scale,
+        double: (run2B + runMinus) * scale,
+        triple: (run3B + runMinus) * scale,
+        hr: (runHR + runMinus) * scale,
+        sb: runSB * scale,
+        cs: -runCS * scale,
+        scale: scale,
+        leagueWOBA: obp,
+        runsPerPA: (league.runs || 0) / pa,
+        leagueOBP: calculateOBP(league),
+        leagueSLG: calculateSLG(league)
+    };
+}
+
+// Weighted On-Base Average with weights from calculateWOBAWeights
+function calculateWOBA(stats, weights) {
+    const pa = calculateWOBAPA(stats);
+    if (pa === 0 || !weights) return 0;
+
+    return (weights.bb * calculateUBB(stats) +
+        weights.hbp * (stats.hitByPitch || 0) +
+        weights.single * calculateSingles(stats) +
+        weights.double * (stats.doubles || 0) +
+        weights.triple * (stats.triples || 0) +
+        weights.hr * (stats.homeRuns || 0) +
+        weights.sb * (stats.stolenBases || 0) +
+        weights.cs * (stats.caughtStealing || 0)) / pa;
+}
+
+// Weighted Runs Above Average: (wOBA - league wOBA) / wOBA scale x PA
+function calculateWRAA(stats, weights) {
+    if (!weights) return 0;
+    return (calculateWOBA(stats, weights) - weights.leagueWOBA) / weights.scale * calculateWOBAPA(stats);
+}
+
+// Weighted Runs Created Plus: runs per PA against league average, park adjusted (100 = average).
+// parkFactor is on the 100 = neutral scale.
+function calculateWRCPlus(stats, weights, parkFactor = 100) {
+    const pa = calculateWOBAPA(stats);
+    if (pa === 0 || !weights || weights.runsPerPA === 0) return 0;
+
+    const leagueRPA = weights.runsPerPA;
+    const parkAdjustment = leagueRPA - (parkFactor / 100) * leagueRPA;
+    return ((calculateWRAA(stats, weights) / pa + leagueRPA) + parkAdjustment) / leagueRPA * 100;
+}
+
+// OPS Plus: 100 x (OBP / league OBP + SLG / league SLG - 1), divided by the park factor
+function calculateOPSPlus(stats, weights, parkFactor = 100) {
+    if (calculatePA(stats) === 0 || !weights || weights.leagueOBP === 0 || weights.leagueSLG === 0) return 0;
+    return 100 * (calculateOBP(stats) / weights.leagueOBP + calculateSLG(stats) / weights.leagueSLG - 1) / (parkFactor / 100);
+}
+
+// Park-adjusted batting runs above average: wRAA plus the runs his park took away (or gave)
+function calculateBattingRuns(stats, weights, parkFactor = 100) {
+    if (!weights) return 0;
+    return calculateWRAA(stats, weights) + (1 - parkFactor / 100) * weights.runsPerPA * calculateWOBAPA(stats);
+}
+
+// Positional adjustment in runs, prorated from 162 games
+function calculatePositionalRuns(stats, position) {
+    return (POSITIONAL_ADJUSTMENTS[position] || 0) * (stats.gamesPlayed || 0) / 162;
+}
+
+// Runs a replacement-level hitter would have given up over the same plate appearances
+function calculateReplacementRuns(stats) {
+    return REPLACEMENT_RUNS_PER_600_PA * calculatePA(stats) / 600;
+}
+
+// Runs per win from the league run environment: 9 x (runs / IP) x 1.5 + 3.
+// Without innings it falls back to the old rule of thumb of 10.
+function calculateRunsPerWin(leagueStats) {
+    const ip = parseInnings(leagueStats.inningsPitched);
+    if (ip === 0) return 10;
+    return 9 * ((leagueStats.runs || 0) / ip) * 1.5 + 3;
+}
+
+// Batting WAR: (batting runs + positional runs + replacement runs) / runs per win
+function calculateBattingWAR(stats, weights, position, runsPerWin, parkFactor = 100) {
+    if (!runsPerWin) return 0;
+    const runs = calculateBattingRuns(stats, weights, parkFactor) + calculatePositionalRuns(stats, position) +
+        calculateReplacementRuns(stats);
+    return runs / runsPerWin;
+}
+
+// Pitching WAR: FIPAR / runs per win
+function calculatePitchingWAR(stats, runsPerWin, replacementFIP = REPLACEMENT_FIP, constant = FIP_CONSTANT) {
+    if (!runsPerWin) return 0;
+    return calculateFIPAR(stats, replacementFIP, constant) / runsPerWin;
+}
+
+// Earned Run Average
+function calculateERA(stats) {
+    const ip = parseInnings(stats.inningsPitched);
+    if (ip === 0) return 0;
+    return (stats.earnedRuns || 0) * 9 / ip;
+}
+
+// Walks plus Hits per Inning Pitched
+function calculateWHIP(stats) {
+    const ip = parseInnings(stats.inningsPitched);
+    if (ip === 0) return 0;
+    return ((stats.baseOnBalls || 0) + (stats.hits || 0)) / ip;
+}
+
+// Fielding Independent Pitching: ((13xHR)+(3x(BB+HBP))-(2xK))/IP + constant
+function calculateFIP(stats, constant = FIP_CONSTANT) {
+    const ip = parseInnings(stats.inningsPitched);
+    if (ip === 0) return 0;
+
+    const hr = stats.homeRuns || 0;
+    const bb = stats.baseOnBalls || 0;
+    const hbp = stats.hitByPitch || 0;
+    const k = stats.strikeOuts || 0;
+
+    return ((13 * hr + 3 * (bb + hbp) - 2 * k) / ip) + constant;
+}
+
+// FIP Above Replacement: (replacement FIP - FIP) x IP / 9
+function calculateFIPAR(stats, replacementFIP = REPLACEMENT_FIP, constant = FIP_CONSTANT) {
+    const ip = parseInnings(stats.inningsPitched);
+    if (ip === 0) return 0;
+    return (replacementFIP - calculateFIP(stats, constant)) * ip / 9;
+}
+
+// FIP constant that puts league FIP on the ERA scale: league ERA - league FIP without a constant
+function calculateFIPConstant(leagueStats) {
+    if (parseInnings(leagueStats.inningsPitched) === 0) return FIP_CONSTANT;
+    return calculateERA(leagueStats) - calculateFIP(leagueStats, 0);
+}
+
+// Replacement-level FIP: the combined FIP of the replacement pool.
+// teamPitching is one array of pitching lines per team. Returns { replacementFIP, poolIP },
+// falling back to REPLACEMENT_FIP when the pool has too few innings.
+function calculateReplacementFIP(teamPitching, constant = FIP_CONSTANT) {
+    const pool = teamPitching.flatMap(lines => [...lines]
+        .sort((a, b) => parseInnings(b.inningsPitched) - parseInnings(a.inningsPitched))
+        .slice(REPLACEMENT_POOL_SKIP));
+    const poolStats = sumStats(pool);
+    const poolIP = parseInnings(poolStats.inningsPitched);
+
+    if (poolIP < REPLACEMENT_POOL_MIN_IP) {
+        return { replacementFIP: REPLACEMENT_FIP, poolIP: poolIP };
+    }
+    return { replacementFIP: calculateFIP(poolStats, constant), poolIP: poolIP };
+}
+
+// Plate appearances behind a rate: batters faced on a pitching line, PA on a batting line
+function ratePlateAppearances(stats) {
+    return stats.battersFaced !== undefined ? stats.battersFaced : calculatePA(stats);
+}
+
+// Strikeout rate: K / PA (batters faced for a pitcher)
+function calculateKPct(stats) {
+    const pa = ratePlateAppearances(stats);
+    if (!pa) return 0;
+    return (stats.strikeOuts || 0) / pa;
+}
+
+// Walk rate: BB / PA (batters faced for a pitcher)
+function calculateBBPct(stats) {
+    const pa = ratePlateAppearances(stats);
+    if (!pa) return 0;
+    return (stats.baseOnBalls || 0) / pa;
+}
+
+// Home runs allowed per nine innings
+function calculateHR9(stats) {
+    const ip = parseInnings(stats.inningsPitched);
+    if (ip === 0) return 0;
+    return (stats.homeRuns || 0) * 9 / ip;
+}
+
+// Batting Average on Balls In Play: (H - HR) / (AB - K - HR + SF)
+// Works for a batting or a pitching line
+function calculateBABIP(stats) {
+    const h = stats.hits || 0;
+    const hr = stats.homeRuns || 0;
+    const denominator = (stats.atBats || 0) - (stats.strikeOuts || 0) - hr + (stats.sacFlies || 0);
+    if (denominator <= 0) return 0;
+    return (h - hr) / denominator;
+}
+
+// Left On Base percentage: (H + BB + HBP - R) / (H + BB + HBP - 1.4xHR)
+function calculateLOBPct(stats) {
+    const baserunners = (stats.hits || 0) + (stats.baseOnBalls || 0) + (stats.hitByPitch || 0);
+    const denominator = baserunners - 1.4 * (stats.homeRuns || 0);
+    if (denominator <= 0) return 0;
+    return (baserunners - (stats.runs || 0)) / denominator;
+}
+
+// Fly balls, estimated without batted-ball data as air outs plus home runs
+function estimateFlyBalls(stats) {
+    return (stats.airOuts || 0) + (stats.homeRuns || 0);
+}
+
+// League home runs per fly ball, from league pitching totals
+function calculateLeagueHRPerFB(leagueStats) {
+    const flyBalls = estimateFlyBalls(leagueStats);
+    if (flyBalls === 0) return 0;
+    return (leagueStats.homeRuns || 0) / flyBalls;
+}
+
+// Expected FIP: FIP with home runs replaced by fly balls x league HR/FB
+function calculateXFIP(stats, leagueHRPerFB, constant = FIP_CONSTANT) {
+    const ip = parseInnings(stats.inningsPitched);
+    if (ip === 0) return 0;
+
+    const expectedHR = estimateFlyBalls(stats) * leagueHRPerFB;
+    const bb = stats.baseOnBalls || 0;
+    const hbp = stats.hitByPitch || 0;
+    const k = stats.strikeOuts || 0;
+
+    return ((13 * expectedHR + 3 * (bb + hbp) - 2 * k) / ip) + constant;
+}
+
+// SIERA with ground outs and air outs standing in for ground balls and fly balls plus pop-ups:
+// 6.145 - 16.986(SO/PA) + 11.434(BB/PA) - 1.858(netGB/PA) + 7.653(SO/PA)^2
+//       -/+ 6.664(netGB/PA)^2 + 10.130(SO/PA)(netGB/PA) - 5.195(BB/PA)(netGB/PA)
+// where netGB = GB - FB - PU and the squared term is subtracted when netGB is positive
+function calculateSIERALite(stats) {
+    const bf = stats.battersFaced || 0;
+    if (bf === 0) return 0;
+
+    const so = (stats.strikeOuts || 0) / bf;
+    const bb = (stats.baseOnBalls || 0) / bf;
+    const netGB = ((stats.groundOuts || 0) - (stats.airOuts || 0)) / bf;
+    const netGBSquared = netGB > 0 ? -6.664 * netGB * netGB : 6.664 * netGB * netGB;
+
+    return 6.145 - 16.986 * so + 11.434 * bb - 1.858 * netGB + 7.653 * so * so
+        + netGBSquared + 10.130 * so * netGB - 5.195 * bb * netGB;
+}
+
+// Defensive Efficiency Record, from a pitching line with fielding errors and double plays merged in
+// DER = 1 - ((H + E - HR) / ((IP*3) + H + E - DP - HR - K))
+function calculateDER(stats) {
+    const ip = parseInnings(stats.inningsPitched);
+    if (ip === 0) return 0;
+
+    const h = stats.hits || 0;
+    const hr = stats.homeRuns || 0;
+    const k = stats.strikeOuts || 0;
+    const e = stats.errors || 0;
+    const dp = stats.doublePlays || 0;
+
+    const numerator = h + e - hr;
+    const denominator = (ip * 3) + h + e - dp - hr - k;
+    if (denominator <= 0) return 0;
+
+    return 1 - (numerator / denominator);
+}
+
+// Pythagorean Variance: actual wins minus RS^2/(RS^2+RA^2) expected wins
+function calculatePythVar(w, l, rs, ra) {
+    const games = w + l;
+    if (games === 0 || rs + ra === 0) return 0;
+    const pythWins = (Math.pow(rs, 2) / (Math.pow(rs, 2) + Math.pow(ra, 2))) * games;
+    return w - pythWins;
+}
+
+// Percentile rank (0-100) of a value within a pool of values: the share of the pool it
+// beats, counting ties as half. lowerIsBetter flips it for stats like ERA.
+function calculatePercentile(value, pool, lowerIsBetter = false) {
+    if (pool.length === 0) return null;
+    let below = 0;
+    let equal = 0;
+    for (const other of pool) {
+        if (other === value) {
+            equal++;
+        } else if (lowerIsBetter ? other > value : other < value) {
+            below++;
+        }
+    }
+    return Math.round(100 * (below + equal / 2) / pool.length);
+}
+
+// Format a rate stat to three places without the leading zero (.300)
+function formatRate(value) {
+    const fixed = value.toFixed(3);
+    return fixed.startsWith('0') ? fixed.substring(1) : fixed;
+}
+
+// Format a rate as a percentage to one place (0.253 -> 25.3%)
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+module.exports = {
+    FIP_CONSTANT,
+    REPLACEMENT_FIP,
+    REPLACEMENT_POOL_SKIP,
+    REPLACEMENT_POOL_MIN_IP,
+    POSITIONAL_ADJUSTMENTS,
+    REPLACEMENT_RUNS_PER_600_PA,
+    parseInnings,
+    formatInnings,
+    sumStats,
+    averageStats,
+    calculateSingles,
+    calculateTB,
+    calculatePA,
+    calculateAVG,
+    calculateOBP,
+    calculateSLG,
+    calculateISO,
+    calculateRC,
+    calculateSBPct,
+    calculateXBHPct,
+    calculateGBFB,
+    calculateWOBAWeights,
+    calculateWOBA,
+    calculateWRAA,
+    calculateWRCPlus,
+    calculateOPSPlus,
+    calculateBattingRuns,
+    calculatePositionalRuns,
+    calculateReplacementRuns,
+    calculateRunsPerWin,
+    calculateBattingWAR,
+    calculatePitchingWAR,
+    calculateERA,
+    calculateWHIP,
+    calculateFIP,
+    calculateFIPAR,
+    calculateFIPConstant,
+    calculateReplacementFIP,
+    calculateKPct,
+    calculateBBPct,
+    calculateHR9,
+    calculateBABIP,
+    calculateLOBPct,
+    estimateFlyBalls,
+    calculateLeagueHRPerFB,
+    calculateXFIP,
+    calculateSIERALite,
+    calculateDER,
+    calculatePythVar,
+    calculatePercentile,
+    formatRate,
+    formatPercent
+};
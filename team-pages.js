@@ -0,0 +1,433 @@
+// Team dashboards: teams/<slug>.html for every team on the graphs page.
+//
+// A dashboard brings together what's spread over the other pages: the team's
+// division standings with its PythVar, where it sits on the three team graphs,
+// its OBP, ISO, FIP and DER with league ranks, and its batter and pitcher tables
+// from player-stats.json.
+
+const { COLUMNS, DEFAULT_SORT, tableColumns, jsonField, formatJsonValue } = require('./columns');
+const { formatRate } = require('./stats-math');
+const { writeSeasonFile } = require('./season-archive');
+
+const TEAM_DIR = 'teams';
+
+// Map MLB team names to Fangraphs URL slugs
+function getTeamFangraphsSlug(teamName) {
+    const slugMap = {
+        'Arizona Diamondbacks': 'diamondbacks',
+        'Atlanta Braves': 'braves',
+        'Baltimore Orioles': 'orioles',
+        'Boston Red Sox': 'red-sox',
+        'Chicago Cubs': 'cubs',
+        'Chicago White Sox': 'white-sox',
+        'Cincinnati Reds': 'reds',
+        'Cleveland Guardians': 'guardians',
+        'Colorado Rockies': 'rockies',
+        'Detroit Tigers': 'tigers',
+        'Houston Astros': 'astros',
+        'Kansas City Royals': 'royals',
+        'Los Angeles Angels': 'angels',
+        'Los Angeles Dodgers': 'dodgers',
+        'Miami Marlins': 'marlins',
+        'Milwaukee Brewers': 'brewers',
+        'Minnesota Twins': 'twins',
+        'New York Mets': 'mets',
+        'New York Yankees': 'yankees',
+        'Oakland Athletics': 'athletics',
+        'Philadelphia Phillies': 'phillies',
+        'Pittsburgh Pirates': 'pirates',
+        'San Diego Padres': 'padres',
+        'San Francisco Giants': 'giants',
+        'Seattle Mariners': 'mariners',
+        'St. Louis Cardinals': 'cardinals',
+        'Tampa Bay Rays': 'rays',
+        'Texas Rangers': 'rangers',
+        'Toronto Blue Jays': 'blue-jays',
+        'Washington Nationals': 'nationals'
+    };
+
+    return slugMap[teamName] || teamName.toLowerCase().replace(/\s+/g, '-');
+}
+
+// "Boston Red Sox" -> "boston-red-sox": the dashboard's file name, and the team's
+// anchor on player_stats.html
+function teamSlug(teamName) {
+    return teamName.toLowerCase()
+        .replace(/\s+/g, '-')
+        .replace(/[^a-z0-9-]/g, '');
+}
+
+function teamPagePath(teamName) {
+    return `${TEAM_DIR}/${teamSlug(teamName)}.html`;
+}
+
+// Team stats on the dashboard, each ranked across MLB and within the league
+const TEAM_STATS = [
+    { key: 'rsPerGame', label: 'Runs Scored per Game', format: value => value.toFixed(2), lowerIsBetter: false },
+    { key: 'raPerGame', label: 'Runs Allowed per Game', format: value => value.toFixed(2), lowerIsBetter: true },
+    { key: 'obp', label: 'OBP (On-Base Percentage)', format: formatRate, lowerIsBetter: false },
+    { key: 'iso', label: 'ISO (Isolated Power)', format: formatRate, lowerIsBetter: false },
+    { key: 'fip', label: 'FIP (Fielding Independent Pitching)', format: value => value.toFixed(2), lowerIsBetter: true },
+    { key: 'der', label: 'DER (Defensive Efficiency)', format: formatRate, lowerIsBetter: false }
+];
+
+// 1 for the best of teams at stat.key; ties share a rank
+function teamRank(team, teams, stat) {
+    const better = teams.filter(other => stat.lowerIsBetter ? other[stat.key] < team[stat.key] : other[stat.key] > team[stat.key]);
+    return better.length + 1;
+}
+
+function ordinal(n) {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+    return `${n}${suffix}`;
+}
+
+function formatPythVar(value) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+}
+
+function renderTeamStats(team, teams) {
+    const leagueTeams = teams.filter(other => other.league === team.league);
+    const rows = TEAM_STATS.map(stat => `
+                    <tr>
+                        <td class="text-cell">${stat.label}</td>
+                        <td>${stat.format(team[stat.key])}</td>
+                        <td>${ordinal(teamRank(team, leagueTeams, stat))} of ${leagueTeams.length}</td>
+                        <td>${ordinal(teamRank(team, teams, stat))} of ${teams.length}</td>
+                    </tr>`).join('');
+    return `
+            <table class="team-stats">
+                <thead><tr><th class="text-cell">Stat</th><th>${team.abbreviation}</th><th>${team.league === 'American League' ? 'AL' : 'NL'} Rank</th><th>MLB Rank</th></tr></thead>
+                <tbody>${rows}
+                </tbody>
+            </table>`;
+}
+
+// The team's division, best record first, with its own row picked out
+function renderStandings(team, teams) {
+    const division = teams.filter(other => other.division === team.division).sort((a, b) => b.w - a.w);
+    const rows = division.map(other => `
+                    <tr${other === team ? ' class="this-team"' : ''}>
+                        <td class="text-cell"><a href="${teamSlug(other.name)}.html">${other.name}</a>${other.clinchIndicator ? `-${other.clinchIndicator}` : ''}</td>
+                        <td>${other.w}</td>
+                        <td>${other.l}</td>
+                        <td>${other.gb === '0.0' || other.gb === '-' ? '-' : other.gb}</td>
+                        <td>${other.wcRank || '-'}</td>
+                        <td>${other.pct}</td>
+                        <td>${formatPythVar(other.pythVar)}</td>
+                        <td>${other.rs}</td>
+                        <td>${other.ra}</td>
+                    </tr>`).join('');
+    return `
+            <table>
+                <thead><tr><th class="text-cell">${team.division}</th><th>W</th><th>L</th><th>GB</th><th>WC</th><th>PCT</th><th>PythVar</th><th>RS</th><th>RA</th></tr></thead>
+                <tbody>${rows}
+                </tbody>
+            </table>`;
+}
+
+// Pythagorean wins from runs scored and allowed, the expectation PythVar is measured against
+function pythagoreanWins(team) {
+    const rs2 = Math.pow(team.rs, 2);
+    const ra2 = Math.pow(team.ra, 2);
+    return rs2 + ra2 === 0 ? 0 : rs2 / (rs2 + ra2) * (team.w + team.l);
+}
+
+// A roster table from the team's player-stats.json entries, in its table columns
+function renderRoster(type, entries) {
+    const sortField = jsonField(COLUMNS[type].find(column => column.key === DEFAULT_SORT[type]));
+    const columns = tableColumns(type);
+    if (entries.length === 0) {
+        return `<p class="note">No ${type}s</p>`;
+    }
+    const rows = [...entries].sort((a, b) => b[sortField] - a[sortField]).map(entry => `
+                    <tr>
+                        <td class="text-cell"><a href="../players/${entry.playerId}.html">${entry.name}</a></td>
+                        ${columns.map(column => `<td>${formatJsonValue(column, entry[jsonField(column)])}</td>`).join('')}
+                    </tr>`).join('');
+    return `
+            <div class="table-wrap">
+                <table>
+                    <thead><tr><th class="text-cell">Name</th>${columns.map(column => `<th title="${column.tooltip}">${column.header}</th>`).join('')}</tr></thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>`;
+}
+
+function renderTeamPage(team, teams, playerStats, season, dateStr, rootPath) {
+    const leagueTeams = teams.filter(other => other.league === team.league).map(other => ({
+        abbreviation: other.abbreviation, rs: other.rs, ra: other.ra, obp: other.obp, iso: other.iso, fip: other.fip, der: other.der
+    }));
+    const batters = playerStats.batters.filter(entry => entry.teamAbbr === team.abbreviation);
+    const pitchers = playerStats.pitchers.filter(entry => entry.teamAbbr === team.abbreviation);
+    const expectedWins = pythagoreanWins(team);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${team.name} ${season} - Baseball Graphs</title>
+    <link rel="icon" href="${rootPath}favicon.png">
+    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js"></script>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        body {
+            font-family: Georgia, "Times New Roman", serif;
+            background-color: #F8F8FF;
+            padding: 20px;
+        }
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+        }
+        .breadcrumb {
+            margin-bottom: 15px;
+            font-size: 1.1em;
+        }
+        a {
+            color: #2563eb;
+            text-decoration: none;
+        }
+        a:hover {
+            text-decoration: underline;
+            color: #1e40af;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+            padding: 25px;
+            background: linear-gradient(135deg, #8B4513, #CD853F, #8B4513);
+            color: white;
+            border-radius: 8px;
+            box-shadow: 0 3px 6px rgba(139, 69, 19, 0.3);
+        }
+        .header h1 {
+            font-size: 2.2em;
+            margin-bottom: 8px;
+        }
+        .section {
+            margin-bottom: 20px;
+            padding: 15px 20px;
+            background-color: white;
+            border: 2px solid #CD853F;
+            border-radius: 8px;
+        }
+        .section h2 {
+            color: #8B4513;
+            margin-bottom: 12px;
+            border-bottom: 2px solid #E8D5B7;
+            padding-bottom: 6px;
+        }
+        .note {
+            font-size: 0.95em;
+            color: #666;
+            margin: 8px 0;
+        }
+        .summary {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+            gap: 20px;
+        }
+        .charts {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+            gap: 20px;
+        }
+        .chart-box h3 {
+            text-align: center;
+            color: #8B4513;
+            margin-bottom: 6px;
+        }
+        .chart-container {
+            position: relative;
+            height: 320px;
+        }
+        .table-wrap {
+            overflow-x: auto;
+        }
+        table {
+            border-collapse: collapse;
+            width: 100%;
+            font-size: 0.9em;
+        }
+        th, td {
+            padding: 4px 6px;
+            text-align: right;
+            border-bottom: 1px solid #E8D5B7;
+            white-space: nowrap;
+        }
+        th {
+            background-color: #F5DEB3;
+            color: #8B4513;
+        }
+        .text-cell {
+            text-align: left;
+        }
+        tr.this-team td {
+            background-color: #FFF8DC;
+            font-weight: bold;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="breadcrumb">
+            <a href="../index.html">← Graphs &amp; Standings</a> &middot;
+            <a href="../player_stats.html#${teamSlug(team.name)}">Player Stats</a>
+        </div>
+
+        <div class="header">
+            <h1>${team.name}</h1>
+            <p>${season} Season - ${team.w}-${team.l} (${team.pct}) - Updated: ${dateStr}</p>
+        </div>
+
+        <div class="section summary">
+            <div>
+                <h2>Standings</h2>
+                ${renderStandings(team, teams)}
+                <p class="note">${team.rs} runs scored and ${team.ra} allowed make for a Pythagorean record of ${Math.round(expectedWins)}-${team.w + team.l - Math.round(expectedWins)}. With ${team.w} actual wins, the ${team.name} are ${formatPythVar(team.pythVar)} against it (PythVar).</p>
+            </div>
+            <div>
+                <h2>Team Stats</h2>
+                ${renderTeamStats(team, teams)}
+                <p class="note">More on <a href="https://www.fangraphs.com/teams/${getTeamFangraphsSlug(team.name)}" target="_blank">Fangraphs</a>.</p>
+            </div>
+        </div>
+
+        <div class="section">
+            <h2>Among the ${team.league}</h2>
+            <div class="charts">
+                <div class="chart-box">
+                    <h3>Runs Scored and Allowed</h3>
+                    <div class="chart-container"><canvas id="runsChart"></canvas></div>
+                </div>
+                <div class="chart-box">
+                    <h3>OBP and ISO</h3>
+                    <div class="chart-container"><canvas id="offenseChart"></canvas></div>
+                </div>
+                <div class="chart-box">
+                    <h3>FIP and DER</h3>
+                    <div class="chart-container"><canvas id="defenseChart"></canvas></div>
+                </div>
+            </div>
+            <p class="note">The same graphs as the front page: better teams are up and to the right on each. The dotted lines are a .500 Pythagorean record on the first and league averages on the others.</p>
+        </div>
+
+        <div class="section">
+            <h2>Batters</h2>
+            ${renderRoster('batter', batters)}
+        </div>
+
+        <div class="section">
+            <h2>Pitchers</h2>
+            ${renderRoster('pitcher', pitchers)}
+        </div>
+    </div>
+
+    <script>
+        const TEAM = '${team.abbreviation}';
+        const leagueTeams = ${JSON.stringify(leagueTeams)};
+
+        // Team abbreviations beside the points, this team's in bold
+        const teamLabelPlugin = {
+            afterDatasetsDraw: function(chart) {
+                const ctx = chart.ctx;
+                const meta = chart.getDatasetMeta(0);
+                chart.data.datasets[0].data.forEach((point, i) => {
+                    const element = meta.data[i];
+                    ctx.font = point.label === TEAM ? 'bold 14px sans-serif' : '11px sans-serif';
+                    ctx.fillStyle = point.label === TEAM ? '#8B4513' : '#777';
+                    ctx.fillText(point.label, element.x + 8, element.y + 4);
+                });
+            }
+        };
+
+        function guideLine(data) {
+            return { data: data, type: 'line', borderColor: '#888', borderWidth: 1, borderDash: [5, 5], pointRadius: 0, fill: false, showLine: true };
+        }
+
+        function average(key) {
+            return leagueTeams.reduce((sum, t) => sum + t[key], 0) / leagueTeams.length;
+        }
+
+        // One league scatter with this team picked out. guides(xs, ys) returns the dotted lines.
+        function teamScatter(canvasId, x, y, guides) {
+            const points = leagueTeams.map(t => ({ x: t[x.key], y: t[y.key], label: t.abbreviation }));
+            const xs = points.map(point => point.x);
+            const ys = points.map(point => point.y);
+            new Chart(document.getElementById(canvasId), {
+                type: 'scatter',
+                data: {
+                    datasets: [{
+                        data: points,
+                        pointBackgroundColor: points.map(point => point.label === TEAM ? '#8B4513' : '#BBBBBB'),
+                        pointBorderColor: points.map(point => point.label === TEAM ? '#8B4513' : '#999999'),
+                        pointRadius: points.map(point => point.label === TEAM ? 9 : 5)
+                    }].concat(guides(xs, ys).map(guideLine))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    layout: { padding: { right: 30 } },
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                title: context => context[0].raw.label,
+                                label: context => [x.title + ': ' + context.raw.x.toFixed(x.digits), y.title + ': ' + context.raw.y.toFixed(y.digits)]
+                            }
+                        }
+                    },
+                    scales: {
+                        x: { title: { display: true, text: x.title }, reverse: Boolean(x.reverse), grid: { color: '#e0e0e0' } },
+                        y: { title: { display: true, text: y.title }, reverse: Boolean(y.reverse), grid: { color: '#e0e0e0' } }
+                    }
+                },
+                plugins: [teamLabelPlugin]
+            });
+        }
+
+        // Runs allowed runs down the axis, so the .500 line (RA = RS) runs corner to corner
+        teamScatter('runsChart', { key: 'rs', title: 'Runs Scored', digits: 0 }, { key: 'ra', title: 'Runs Allowed', digits: 0, reverse: true },
+            (xs, ys) => {
+                const low = Math.min(...xs, ...ys);
+                const high = Math.max(...xs, ...ys);
+                return [[{ x: low, y: low }, { x: high, y: high }]];
+            });
+        teamScatter('offenseChart', { key: 'obp', title: 'OBP', digits: 3 }, { key: 'iso', title: 'ISO', digits: 3 },
+            (xs, ys) => [
+                [{ x: average('obp'), y: Math.min(...ys) }, { x: average('obp'), y: Math.max(...ys) }],
+                [{ x: Math.min(...xs), y: average('iso') }, { x: Math.max(...xs), y: average('iso') }]
+            ]);
+        teamScatter('defenseChart', { key: 'fip', title: 'FIP', digits: 2, reverse: true }, { key: 'der', title: 'DER', digits: 3 },
+            (xs, ys) => [
+                [{ x: average('fip'), y: Math.min(...ys) }, { x: average('fip'), y: Math.max(...ys) }],
+                [{ x: Math.min(...xs), y: average('der') }, { x: Math.max(...xs), y: average('der') }]
+            ]);
+    </script>
+</body>
+</html>`;
+}
+
+// Write teams/<slug>.html for every team in teamData (team id -> the graphs page's team line)
+function writeTeamPages(options, season, teamData, playerStats, dateStr) {
+    const teams = Object.values(teamData);
+    for (const team of teams) {
+        // Pages sit a level below the season's pages
+        writeSeasonFile(options, season, teamPagePath(team.name),
+            rootPath => renderTeamPage(team, teams, playerStats, season, dateStr, `../${rootPath}`));
+    }
+    return teams.length;
+}
+
+module.exports = {
+    teamSlug,
+    teamPagePath,
+    writeTeamPages
+};
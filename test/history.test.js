@@ -0,0 +1,102 @@
+// Unit tests for the player snapshots in history.js, run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { columnsJson } = require('../columns');
+const { recordPlayerSnapshot, getPlayerTrajectory, loadHistory } = require('../history');
+
+// Aaron Judge's 2022 line, listed for two teams as a traded player would be, and Sandy
+// Alcantara's, with a league run environment close to 2022's
+const judge = {
+    gamesPlayed: 157, atBats: 570, runs: 133, hits: 177, doubles: 28, triples: 0, homeRuns: 62, rbi: 131,
+    baseOnBalls: 111, intentionalWalks: 19, hitByPitch: 6, sacFlies: 5, strikeOuts: 175, stolenBases: 16, caughtStealing: 3,
+    groundOuts: 120, airOuts: 150
+};
+const alcantara = {
+    gamesPlayed: 32, gamesStarted: 32, wins: 14, losses: 9, saves: 0, inningsPitched: '228.2', battersFaced: 886,
+    atBats: 822, hits: 174, runs: 67, earnedRuns: 58, homeRuns: 16, baseOnBalls: 50, intentionalWalks: 1, hitByPitch: 8,
+    sacFlies: 4, strikeOuts: 207, groundOuts: 280, airOuts: 170
+};
+const constants = {
+    fipConstant: 3.112,
+    replacementFIP: 5.4,
+    leagueERA: 3.97,
+    runsPerWin: 9.8,
+    leagueHRPerFB: 0.114,
+    wobaWeights: {
+        bb: 0.689, hbp: 0.720, single: 0.884, double: 1.261, triple: 1.601, hr: 2.072, sb: 0.2, cs: -0.4,
+        scale: 1.259, leagueWOBA: 0.310, runsPerPA: 0.119, leagueOBP: 0.312, leagueSLG: 0.395
+    }
+};
+const judgeContext = { constants, parkFactor: 101, position: 'RF', person: {} };
+const alcantaraContext = { constants, parkFactor: 100, position: null, person: {} };
+
+function record(outDir) {
+    const batter = { playerId: 592450, position: 'RF', ...columnsJson('batter', judge, judgeContext) };
+    const playerStats = {
+        constants,
+        batters: [{ ...batter, teamAbbr: 'NYY' }, { ...batter, teamAbbr: 'LAD' }],
+        pitchers: [{ playerId: 645261, teamAbbr: 'MIA', ...columnsJson('pitcher', alcantara, alcantaraContext) }]
+    };
+    const statLines = {
+        batters: { 592450: { stats: judge, parkFactor: 101 } },
+        pitchers: { 645261: { stats: alcantara, parkFactor: 100 } }
+    };
+    recordPlayerSnapshot({ outDir }, 2022, new Date('2022-10-05T16:00:00Z'), playerStats, statLines);
+}
+
+function withOutDir(run) {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+    try {
+        run(outDir);
+    } finally {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    }
+}
+
+test('player snapshots store counting stats only', () => {
+    withOutDir(outDir => {
+        record(outDir);
+        const file = JSON.parse(fs.readFileSync(path.join(outDir, 'history/2022/batters.json'), 'utf8'));
+        assert.ok(file.fields.includes('homeRuns'));
+        for (const rate of ['avg', 'obp', 'woba', 'wrcPlus', 'war', 'percentiles']) {
+            assert.ok(!file.fields.includes(rate), `${rate} shouldn't be stored`);
+        }
+        assert.deepEqual(Object.keys(file.entities), ['592450']);
+    });
+});
+
+test('getPlayerTrajectory works the player-stats.json fields out again', () => {
+    withOutDir(outDir => {
+        record(outDir);
+        const { batting, pitching } = getPlayerTrajectory(592450, undefined, undefined, { season: 2022, outDir });
+        assert.deepEqual(batting, [{
+            date: '2022-10-05',
+            teamAbbr: 'NYY/LAD',
+            position: 'RF',
+            ...columnsJson('batter', judge, judgeContext)
+        }]);
+        assert.deepEqual(pitching, []);
+
+        const alcantaraRows = getPlayerTrajectory(645261, '2022-10-01', '2022-10-31', { outDir }).pitching;
+        assert.deepEqual(alcantaraRows, [{ date: '2022-10-05', teamAbbr: 'MIA', ...columnsJson('pitcher', alcantara, alcantaraContext) }]);
+        assert.equal(alcantaraRows[0].era, 2.28);
+    });
+});
+
+test('older snapshots that stored the rates come back as they are', () => {
+    withOutDir(outDir => {
+        const file = path.join(outDir, 'history/2021/batters.json');
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            version: 1, season: 2021, fields: ['teamAbbr', 'hr', 'avg'], dates: ['2021-09-01'],
+            entities: { 592450: [[0, 'NYY', 35, 0.287]] }
+        }));
+        assert.equal(Object.keys(loadHistory({ outDir }, 2021, 'league').series).length, 0);
+        assert.deepEqual(getPlayerTrajectory(592450, undefined, undefined, { season: 2021, outDir }).batting,
+            [{ date: '2021-09-01', teamAbbr: 'NYY', hr: 35, avg: 0.287 }]);
+    });
+});
@@ -0,0 +1,99 @@
+// Unit tests for the league percentiles in percentiles.js, run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePercentile } = require('../stats-math');
+const { estimateTeamGames, qualifiedPlayers, addPercentiles } = require('../percentiles');
+
+test('calculatePercentile counts the share of the pool beaten, ties as half', () => {
+    assert.equal(calculatePercentile(3, [1, 2, 3, 4]), 63);
+    assert.equal(calculatePercentile(5, [1, 2, 3]), 100);
+    assert.equal(calculatePercentile(0, [1, 2, 3]), 0);
+    assert.equal(calculatePercentile(2, [2, 2, 2, 2]), 50);
+});
+
+test('calculatePercentile flips lower-is-better stats', () => {
+    assert.equal(calculatePercentile(3, [1, 2, 3, 4], true), 38);
+    assert.equal(calculatePercentile(0, [1, 2, 3], true), 100);
+});
+
+test('calculatePercentile has no rank in an empty pool', () => {
+    assert.equal(calculatePercentile(3, []), null);
+});
+
+test('estimateTeamGames averages the 30 batters with the most games', () => {
+    const batters = Array.from({ length: 35 }, (_, i) => ({ g: i + 1 }));
+    // Games 6 through 35
+    assert.equal(estimateTeamGames(batters), 20.5);
+    assert.equal(estimateTeamGames([]), 0);
+});
+
+test('qualifiedPlayers takes 3.1 PA or 1 IP per team game, inclusive', () => {
+    const batters = [{ pa: 310 }, { pa: 309 }];
+    assert.deepEqual(qualifiedPlayers(batters, 'batter', 100), [{ pa: 310 }]);
+
+    // IP is in baseball notation: 99.2 is short of 100
+    const pitchers = [{ ip: 100 }, { ip: 99.2 }];
+    assert.deepEqual(qualifiedPlayers(pitchers, 'pitcher', 100), [{ ip: 100 }]);
+
+    assert.deepEqual(qualifiedPlayers(batters, 'batter', 0), []);
+});
+
+// Two qualified batters (one traded, so listed once per team), one who isn't, and two pitchers
+function playerStats() {
+    const traded = { playerId: 1, g: 100, pa: 400, hr: 30, so: 100, windows: { last7: { g: 5, pa: 10, hr: 2 } } };
+    return {
+        windowRanges: { last7: { start: '2025-06-01', end: '2025-06-07' } },
+        batters: [
+            { ...traded, team: 'A' },
+            { ...traded, team: 'B' },
+            { playerId: 2, g: 100, pa: 350, hr: 20, so: 150, windows: { last7: null } },
+            { playerId: 3, g: 10, pa: 20, hr: 5, so: 2, windows: { last7: null } }
+        ],
+        pitchers: [
+            { playerId: 4, ip: 100, era: 3.00, windows: { last7: null } },
+            { playerId: 5, ip: 90.1, era: 4.00, windows: { last7: null } }
+        ]
+    };
+}
+
+test('addPercentiles ranks each player against the qualified players, once each', () => {
+    const json = addPercentiles(playerStats());
+    const [tradedA, tradedB, regular, bench] = json.batters;
+
+    // Team games are (100 + 100 + 10) / 3 = 70, so 217 PA qualifies: players 1 and 2
+    assert.deepEqual(json.qualified, { batters: 2, pitchers: 2 });
+    assert.equal(tradedA.percentiles.hr, 75);
+    assert.deepEqual(tradedB.percentiles, tradedA.percentiles);
+    assert.equal(regular.percentiles.hr, 25);
+
+    // The unqualified batter is still ranked against the qualified pool
+    assert.equal(bench.percentiles.hr, 0);
+});
+
+test('addPercentiles flips stats where less is better', () => {
+    const json = addPercentiles(playerStats());
+    const [tradedA, , regular, bench] = json.batters;
+
+    // Strikeouts: fewer is better for a batter
+    assert.equal(tradedA.percentiles.so, 75);
+    assert.equal(regular.percentiles.so, 25);
+    assert.equal(bench.percentiles.so, 100);
+
+    // ERA sorts ascending
+    assert.equal(json.pitchers[0].percentiles.era, 75);
+    assert.equal(json.pitchers[1].percentiles.era, 25);
+});
+
+test('addPercentiles leaves a window with nobody qualified unranked', () => {
+    const json = addPercentiles(playerStats());
+
+    // 5 team games need 16 PA; the only line has 10
+    assert.deepEqual(json.batters[0].windows.last7.percentiles, {});
+    assert.equal(json.batters[2].windows.last7, null);
+});
+
+test('addPercentiles copes with an empty side', () => {
+    const json = addPercentiles({ batters: [], pitchers: [] });
+    assert.deepEqual(json.qualified, { batters: 0, pitchers: 0 });
+});
@@ -0,0 +1,198 @@
+// Unit tests for stats-math.js, run with `npm test`.
+//
+// The lines are real season lines. Rates with a published figure (slash lines, ERA, FIP) are
+// checked against it at the precision it's published to (Baseball-Reference, FanGraphs); the
+// repo's own variants (RC as OBP x TB, exponent-2 Pythagorean wins, DER) are worked by hand.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseInnings,
+    formatInnings,
+    formatRate,
+    calculateAVG,
+    calculateOBP,
+    calculateSLG,
+    calculateISO,
+    calculateRC,
+    calculateERA,
+    calculateFIP,
+    calculateDER,
+    calculatePythVar,
+    calculateFIPAR,
+    calculateReplacementFIP,
+    calculateWOBA,
+    calculateWRAA,
+    calculateWRCPlus,
+    calculateOPSPlus,
+    calculateBattingRuns,
+    calculatePositionalRuns,
+    calculateReplacementRuns,
+    calculateRunsPerWin,
+    calculateBattingWAR,
+    calculatePitchingWAR,
+    REPLACEMENT_FIP
+} = require('../stats-math');
+const { getParkFactor, getCombinedParkFactor } = require('../park-factors');
+
+// Aaron Judge, 2022 Yankees: .311/.425/.686, 62 HR
+const judge2022 = {
+    gamesPlayed: 157, atBats: 570, hits: 177, doubles: 28, triples: 0, homeRuns: 62,
+    baseOnBalls: 111, intentionalWalks: 19, hitByPitch: 6, sacFlies: 5, strikeOuts: 175
+};
+
+// Ichiro Suzuki, 2004 Mariners: .372/.414/.455, 262 hits
+const ichiro2004 = {
+    gamesPlayed: 161, atBats: 704, hits: 262, doubles: 24, triples: 5, homeRuns: 8,
+    baseOnBalls: 49, hitByPitch: 4, sacFlies: 3, strikeOuts: 63
+};
+
+// Jacob deGrom, 2018 Mets: 1.70 ERA, 1.99 FIP (FanGraphs' 2018 constant was 3.161)
+const deGrom2018 = {
+    inningsPitched: '217.0', hits: 152, earnedRuns: 41, homeRuns: 10,
+    baseOnBalls: 46, hitByPitch: 5, strikeOuts: 269
+};
+
+// FanGraphs' 2022 wOBA weights and league context (wOBA .310, scale 1.259, .119 runs per PA),
+// in the shape calculateWOBAWeights returns. Stolen bases aren't in FanGraphs' wOBA.
+const weights2022 = {
+    bb: 0.689, hbp: 0.720, single: 0.884, double: 1.261, triple: 1.601, hr: 2.072, sb: 0, cs: 0,
+    scale: 1.259, leagueWOBA: 0.310, runsPerPA: 0.119, leagueOBP: 0.312, leagueSLG: 0.395
+};
+
+// Sandy Alcantara, 2022 Marlins: 228 2/3 innings, 2.28 ERA
+const alcantara2022 = {
+    inningsPitched: '228.2', hits: 174, earnedRuns: 58, homeRuns: 16,
+    baseOnBalls: 50, hitByPitch: 8, strikeOuts: 207
+};
+
+test('parseInnings reads the digit after the point as outs', () => {
+    assert.equal(parseInnings('217.0'), 217);
+    assert.equal(parseInnings('228.2'), 228 + 2 / 3);
+    assert.equal(parseInnings('0.1'), 1 / 3);
+    assert.equal(parseInnings(undefined), 0);
+    assert.equal(parseInnings('228.2'), parseInnings(formatInnings(228 + 2 / 3)));
+});
+
+test('ERA uses true innings for partial innings', () => {
+    assert.equal(calculateERA(alcantara2022).toFixed(2), '2.28');
+    assert.equal(calculateERA(deGrom2018).toFixed(2), '1.70');
+});
+
+test('AVG, OBP and SLG match the published slash lines', () => {
+    assert.equal(formatRate(calculateAVG(judge2022)), '.311');
+    assert.equal(formatRate(calculateOBP(judge2022)), '.425');
+    assert.equal(formatRate(calculateSLG(judge2022)), '.686');
+
+    assert.equal(formatRate(calculateAVG(ichiro2004)), '.372');
+    assert.equal(formatRate(calculateOBP(ichiro2004)), '.414');
+    assert.equal(formatRate(calculateSLG(ichiro2004)), '.455');
+});
+
+test('ISO is SLG minus AVG', () => {
+    // 391 TB - 177 H = 214 extra bases over 570 AB
+    assert.equal(formatRate(calculateISO(judge2022)), '.375');
+    // 58 extra bases over 704 AB; .455 - .372 from the rounded slash line would say .083
+    assert.equal(formatRate(calculateISO(ichiro2004)), '.082');
+});
+
+test('RC is OBP times total bases', () => {
+    // (177 + 111 + 6) / 692 x 391 TB
+    assert.equal(calculateRC(judge2022).toFixed(1), '166.1');
+    // 315 / 760 x 320 TB
+    assert.equal(calculateRC(ichiro2004).toFixed(1), '132.6');
+});
+
+test('rates are zero without the playing time behind them', () => {
+    assert.equal(calculateAVG({}), 0);
+    assert.equal(calculateOBP({}), 0);
+    assert.equal(calculateSLG({}), 0);
+    assert.equal(calculateRC({}), 0);
+});
+
+test('FIP matches the published figure with that season\'s constant', () => {
+    assert.equal(calculateFIP(deGrom2018, 3.161).toFixed(2), '1.99');
+    assert.equal(calculateFIP({ inningsPitched: '0.0', homeRuns: 1 }), 0);
+});
+
+test('DER is the share of balls in play turned into outs', () => {
+    // 1440 IP (4320 outs), 1200 H, 80 E, 150 HR, 1400 K, 120 DP:
+    // 1 - (1200 + 80 - 150) / (4320 + 1200 + 80 - 120 - 150 - 1400) = 1 - 1130 / 3930
+    const team = { inningsPitched: '1440.0', hits: 1200, errors: 80, homeRuns: 150, strikeOuts: 1400, doublePlays: 120 };
+    assert.equal(formatRate(calculateDER(team)), '.712');
+    assert.equal(calculateDER({ inningsPitched: '0.0', hits: 3 }), 0);
+});
+
+test('PythVar is wins minus Pythagorean (exponent 2) wins', () => {
+    // 2022 Dodgers: 111-51, 847 RS, 513 RA -> 118.5 expected wins
+    assert.equal(calculatePythVar(111, 51, 847, 513).toFixed(1), '-7.5');
+    // 2022 Mariners: 90-72, 690 RS, 623 RA -> 89.2 expected wins
+    assert.equal(calculatePythVar(90, 72, 690, 623).toFixed(1), '0.8');
+    assert.equal(calculatePythVar(0, 0, 0, 0), 0);
+});
+
+test('wOBA matches the published figure with that season\'s weights', () => {
+    // Judge 2022: .458, counting unintentional walks only
+    assert.equal(formatRate(calculateWOBA(judge2022, weights2022)), '.458');
+});
+
+test('replacement FIP pools every team\'s pitchers past its top ten by innings', () => {
+    const pitcher = (ip, extra = {}) => ({ inningsPitched: ip, homeRuns: 0, baseOnBalls: 0, strikeOuts: 0, ...extra });
+    const staff = [...Array.from({ length: 10 }, () => pitcher('100.0', { homeRuns: 50 })),
+        pitcher('60.0', { homeRuns: 10, baseOnBalls: 25, strikeOuts: 40 })];
+
+    // One team's depth is only 60 innings, short of a usable pool
+    assert.deepEqual(calculateReplacementFIP([staff]), { replacementFIP: REPLACEMENT_FIP, poolIP: 60 });
+
+    // Two teams' depth gives 120: (13 x 20 + 3 x 50 - 2 x 80) / 120 + 3.10
+    const { replacementFIP, poolIP } = calculateReplacementFIP([staff, staff]);
+    assert.equal(poolIP, 120);
+    assert.equal(replacementFIP.toFixed(2), '5.18');
+});
+
+test('FIPAR and pitching WAR measure FIP against replacement level', () => {
+    // deGrom 2018: (6.00 - 1.986) x 217 / 9
+    assert.equal(calculateFIPAR(deGrom2018, 6.00, 3.161).toFixed(1), '96.8');
+    assert.equal(calculatePitchingWAR(deGrom2018, 10, 6.00, 3.161).toFixed(2), '9.68');
+    assert.equal(calculatePitchingWAR(deGrom2018, 0, 6.00, 3.161), 0);
+});
+
+test('park factors look up by team and average for traded players', () => {
+    assert.equal(getParkFactor('COL'), 112);
+    assert.equal(getParkFactor('XXX'), 100);
+    assert.equal(getCombinedParkFactor(['COL', 'SD']), 103.5);
+    assert.equal(getCombinedParkFactor([]), 100);
+});
+
+test('park adjustment credits hitters in pitchers\' parks and docks them in hitters\' parks', () => {
+    const neutral = calculateWRCPlus(judge2022, weights2022);
+    // A 112 park is worth 12 points of wRC+
+    assert.equal((neutral - calculateWRCPlus(judge2022, weights2022, 112)).toFixed(6), '12.000000');
+    assert.ok(calculateWRCPlus(judge2022, weights2022, 95) > neutral);
+
+    assert.equal(calculateOPSPlus(judge2022, weights2022, 112), calculateOPSPlus(judge2022, weights2022) / 1.12);
+
+    // Batting runs are wRAA in a neutral park, less 12% of league runs per PA over Judge's 673 wOBA PA at 112
+    assert.equal(calculateBattingRuns(judge2022, weights2022), calculateWRAA(judge2022, weights2022));
+    const parkRuns = calculateWRAA(judge2022, weights2022) - calculateBattingRuns(judge2022, weights2022, 112);
+    assert.equal(parkRuns.toFixed(2), (0.12 * 0.119 * 673).toFixed(2));
+});
+
+test('runs per win follows the league run environment', () => {
+    // 4,500 runs in 9,000 innings: 9 x 0.5 x 1.5 + 3
+    assert.equal(calculateRunsPerWin({ runs: 4500, inningsPitched: '9000.0' }), 9.75);
+    assert.equal(calculateRunsPerWin({ runs: 0, inningsPitched: '0.0' }), 10);
+});
+
+test('batting WAR adds batting, positional and replacement runs', () => {
+    assert.equal(calculatePositionalRuns({ gamesPlayed: 162 }, 'C'), 12.5);
+    assert.equal(calculatePositionalRuns({ gamesPlayed: 81 }, 'SS'), 3.75);
+    assert.equal(calculatePositionalRuns({ gamesPlayed: 162 }, 'P'), 0);
+    assert.equal(calculateReplacementRuns({ atBats: 600 }), 20);
+
+    const runs = calculateBattingRuns(judge2022, weights2022, 100) +
+        calculatePositionalRuns(judge2022, 'RF') + calculateReplacementRuns(judge2022);
+    const war = calculateBattingWAR(judge2022, weights2022, 'RF', 9.75, 100);
+    assert.equal(war.toFixed(6), (runs / 9.75).toFixed(6));
+    assert.equal(calculateBattingWAR(judge2022, weights2022, 'RF', 0), 0);
+});